@@ -12,6 +12,7 @@ import VideoLibrary from './pages/VideoLibrary';
 import VideoUpload from './pages/VideoUpload';
 import VideoPlayer from './pages/VideoPlayer';
 import UserManagement from './pages/UserManagement';
+import AnalysisSettings from './pages/AnalysisSettings';
 
 function App() {
   return (
@@ -30,6 +31,7 @@ function App() {
                 <Route path="upload" element={<VideoUpload />} />
                 <Route path="video/:id" element={<VideoPlayer />} />
                 <Route path="users" element={<UserManagement />} />
+                <Route path="settings" element={<AnalysisSettings />} />
               </Route>
             </Routes>
           </div>
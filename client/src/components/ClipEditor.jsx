@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Scissors, X } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const formatTimestamp = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = (time % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${seconds}`;
+};
+
+// In/out markers over the player's timeline; the clip itself is cut on the server
+const ClipEditor = ({ video, videoRef, currentTime, duration }) => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [inPoint, setInPoint] = useState(0);
+  const [outPoint, setOutPoint] = useState(null);
+  const [title, setTitle] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const length = duration || video.duration || 0;
+  const end = outPoint ?? length;
+  const isValid = end - inPoint >= 1;
+
+  const toPercent = (time) => (length ? `${(time / length) * 100}%` : '0%');
+
+  const seek = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+    }
+  };
+
+  const handleTimelineClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    seek(((e.clientX - rect.left) / rect.width) * length);
+  };
+
+  const handleSetIn = () => {
+    setInPoint(currentTime);
+    if (outPoint !== null && outPoint <= currentTime) setOutPoint(null);
+  };
+
+  const handleSetOut = () => {
+    if (currentTime <= inPoint) {
+      toast.error('Out point must come after the in point');
+      return;
+    }
+    setOutPoint(currentTime);
+  };
+
+  const handlePreview = () => {
+    seek(inPoint);
+    videoRef.current?.play();
+  };
+
+  const handleCreateClip = async () => {
+    setSubmitting(true);
+    try {
+      await axios.post(`${API_URL}/api/videos/${video._id}/clips`, {
+        start: inPoint,
+        end,
+        title: title.trim() || undefined
+      });
+      toast.success('Clip queued! It will appear in your library once processed.');
+      navigate('/videos');
+    } catch (error) {
+      console.error('Failed to create clip:', error);
+      toast.error(error.response?.data?.msg || 'Failed to create clip');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} className="btn btn-secondary">
+        <Scissors className="w-4 h-4 mr-2" />
+        Create Clip
+      </button>
+    );
+  }
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-900 flex items-center">
+          <Scissors className="w-4 h-4 mr-2" />
+          Create Clip
+        </h3>
+        <button onClick={() => setOpen(false)} className="p-1 text-gray-400 hover:text-gray-600">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Timeline with selected range, in/out markers and playhead */}
+      <div
+        className="relative h-8 bg-gray-200 rounded cursor-pointer"
+        onClick={handleTimelineClick}
+        title="Click to seek"
+      >
+        <div
+          className="absolute inset-y-0 bg-primary-200"
+          style={{ left: toPercent(inPoint), width: `calc(${toPercent(end)} - ${toPercent(inPoint)})` }}
+        ></div>
+        <div className="absolute inset-y-0 w-1 bg-primary-600" style={{ left: toPercent(inPoint) }} title="In"></div>
+        <div className="absolute inset-y-0 w-1 bg-primary-600" style={{ left: `calc(${toPercent(end)} - 0.25rem)` }} title="Out"></div>
+        <div className="absolute inset-y-0 w-0.5 bg-gray-900" style={{ left: toPercent(currentTime) }}></div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button onClick={handleSetIn} className="btn btn-secondary text-xs px-3 py-1">Set In</button>
+        <button onClick={handleSetOut} className="btn btn-secondary text-xs px-3 py-1">Set Out</button>
+        <button onClick={handlePreview} className="btn btn-secondary text-xs px-3 py-1">Preview</button>
+        <span className="text-gray-600 ml-2">
+          {formatTimestamp(inPoint)} → {formatTimestamp(end)}
+          <span className="text-gray-400"> ({formatTimestamp(Math.max(end - inPoint, 0))})</span>
+        </span>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          className="input flex-1"
+          placeholder={`${video.title} (clip)`}
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+        <button
+          onClick={handleCreateClip}
+          disabled={!isValid || submitting}
+          className="btn btn-primary disabled:opacity-50"
+        >
+          {submitting ? 'Queuing...' : 'Create Clip'}
+        </button>
+      </div>
+      {!isValid && (
+        <p className="text-xs text-red-600">Clips must be at least 1 second long.</p>
+      )}
+    </div>
+  );
+};
+
+export default ClipEditor;
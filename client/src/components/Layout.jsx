@@ -12,7 +12,8 @@ import {
   WifiOff,
   User,
   Menu,
-  X
+  X,
+  SlidersHorizontal
 } from 'lucide-react';
 
 const Layout = () => {
@@ -31,7 +32,10 @@ const Layout = () => {
     { name: 'Dashboard', href: '/dashboard', icon: Home },
     { name: 'Video Library', href: '/videos', icon: Video },
     { name: 'Upload Video', href: '/upload', icon: Upload },
-    ...(isAdmin ? [{ name: 'User Management', href: '/users', icon: Users }] : [])
+    ...(isAdmin ? [
+      { name: 'User Management', href: '/users', icon: Users },
+      { name: 'Analysis Settings', href: '/settings', icon: SlidersHorizontal }
+    ] : [])
   ];
 
   return (
@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { RefreshCw } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const STATUSES = ['safe', 'review', 'flagged', 'unknown'];
+const PROVIDERS = [
+  { value: '', label: 'Any provider' },
+  { value: 'none', label: 'No provider decided' },
+  { value: 'gemini', label: 'Gemini' },
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'local', label: 'Local heuristic' },
+  { value: 'blocklist', label: 'Blocklist' }
+];
+
+const STATUS_STYLES = {
+  safe: 'text-green-700',
+  review: 'text-yellow-700',
+  flagged: 'text-red-700',
+  rejected: 'text-red-800',
+  unknown: 'text-gray-600'
+};
+
+// Re-runs moderation over already processed videos, e.g. after tightening a
+// policy. Progress arrives over the socket as each video's job finishes.
+const LibraryRescan = ({ categories }) => {
+  const { socket } = useSocket();
+  const [criteria, setCriteria] = useState({
+    category: '',
+    statuses: ['safe'],
+    provider: '',
+    analyzedBefore: '',
+    includeOverridden: false
+  });
+  const [matchCount, setMatchCount] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [starting, setStarting] = useState(false);
+
+  useEffect(() => {
+    fetchRuns();
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleProgress = (data) => {
+      setRuns(prev => prev.map(run => (
+        run._id === data.rescanId ? { ...run, ...data, changeCount: data.changed } : run
+      )));
+      // The list of changed verdicts is only worth fetching once the run ends
+      if (data.state === 'completed') {
+        fetchRuns();
+      }
+    };
+
+    socket.on('rescanProgress', handleProgress);
+    return () => socket.off('rescanProgress', handleProgress);
+  }, [socket]);
+
+  const fetchRuns = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/rescans`);
+      setRuns(response.data.runs);
+    } catch (error) {
+      console.error('Failed to fetch re-scans:', error);
+    }
+  };
+
+  const updateCriteria = (field, value) => {
+    setCriteria(prev => ({ ...prev, [field]: value }));
+    setMatchCount(null);
+  };
+
+  const toggleStatus = (status) => {
+    updateCriteria(
+      'statuses',
+      criteria.statuses.includes(status)
+        ? criteria.statuses.filter(item => item !== status)
+        : [...criteria.statuses, status]
+    );
+  };
+
+  const previewCount = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/admin/rescans`, { criteria, dryRun: true });
+      setMatchCount(response.data.count);
+    } catch (error) {
+      console.error('Failed to count videos:', error);
+      toast.error(error.response?.data?.msg || 'Failed to count matching videos');
+    }
+  };
+
+  const startRescan = async () => {
+    setStarting(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/admin/rescans`, { criteria });
+      toast.success(response.data.msg);
+      setMatchCount(null);
+      fetchRuns();
+    } catch (error) {
+      console.error('Failed to start re-scan:', error);
+      toast.error(error.response?.data?.msg || 'Failed to start re-scan');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <RefreshCw className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-lg font-semibold text-gray-900">Library Re-scan</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Analyze processed videos again under the current moderation policies, providers and blocklist.
+        Videos stay playable while they are re-scanned.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <label className="block font-medium text-gray-700">Category</label>
+          <select className="input mt-1" value={criteria.category}
+            onChange={(e) => updateCriteria('category', e.target.value)}>
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category} value={category} className="capitalize">{category}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700">Analyzed by</label>
+          <select className="input mt-1" value={criteria.provider}
+            onChange={(e) => updateCriteria('provider', e.target.value)}>
+            {PROVIDERS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700">Analyzed before</label>
+          <input type="date" className="input mt-1" value={criteria.analyzedBefore}
+            onChange={(e) => updateCriteria('analyzedBefore', e.target.value)} />
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700">Current verdict</label>
+          <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1">
+            {STATUSES.map((status) => (
+              <label key={status} className="inline-flex items-center capitalize text-gray-700">
+                <input type="checkbox" className="h-4 w-4 mr-1 text-primary-600 border-gray-300 rounded"
+                  checked={criteria.statuses.includes(status)}
+                  onChange={() => toggleStatus(status)} />
+                {status}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <label className="mt-4 inline-flex items-center text-sm text-gray-700">
+        <input type="checkbox" className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded"
+          checked={criteria.includeOverridden}
+          onChange={(e) => updateCriteria('includeOverridden', e.target.checked)} />
+        Include videos an admin marked safe by hand
+      </label>
+
+      <div className="mt-4 flex items-center space-x-3">
+        <button onClick={previewCount} className="btn btn-secondary">Count Matches</button>
+        <button onClick={startRescan} disabled={starting} className="btn btn-primary disabled:opacity-50">
+          {starting ? 'Queuing...' : 'Start Re-scan'}
+        </button>
+        {matchCount !== null && (
+          <span className="text-sm text-gray-600">{matchCount} video(s) match</span>
+        )}
+      </div>
+
+      {runs.length > 0 && (
+        <div className="mt-6 space-y-4">
+          <h3 className="font-medium text-gray-900">Recent re-scans</h3>
+          {runs.map((run) => {
+            const done = run.completed + run.failed + (run.skipped || 0);
+            const percent = run.total ? Math.round((done / run.total) * 100) : 100;
+            const changeCount = run.changeCount ?? run.changes?.length ?? 0;
+
+            return (
+              <div key={run._id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">
+                    {new Date(run.createdAt).toLocaleString()}
+                    {run.requestedBy?.username && ` by ${run.requestedBy.username}`}
+                  </span>
+                  <span className="text-gray-500">
+                    {done}/{run.total} scanned
+                    {run.failed > 0 && `, ${run.failed} failed`}
+                    {run.skipped > 0 && `, ${run.skipped} skipped`}
+                    {`, ${changeCount} changed`}
+                  </span>
+                </div>
+                {run.state === 'running' && (
+                  <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                    <div className="bg-primary-600 h-2 rounded-full transition-all duration-300" style={{ width: `${percent}%` }}></div>
+                  </div>
+                )}
+                {run.state === 'completed' && run.changes?.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {run.changes.map((change) => (
+                      <li key={change.video}>
+                        <Link to={`/video/${change.video}`} className="text-primary-600 hover:underline">
+                          {change.title}
+                        </Link>
+                        {': '}
+                        <span className={`capitalize ${STATUS_STYLES[change.from] || ''}`}>{change.from}</span>
+                        {' → '}
+                        <span className={`capitalize ${STATUS_STYLES[change.to] || ''}`}>{change.to}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibraryRescan;
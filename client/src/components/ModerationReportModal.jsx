@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { X, AlertTriangle, CheckCircle, HelpCircle } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const CATEGORY_LABELS = {
+  nudity: 'Nudity',
+  sexual_activity: 'Sexual activity',
+  violence: 'Violence',
+  drugs: 'Drugs',
+  hate_symbols: 'Hate symbols'
+};
+
+const formatTimestamp = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const getVerdictBadge = (verdict) => {
+  switch (verdict) {
+    case 'flagged':
+      return (
+        <span className="inline-flex items-center px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full">
+          <AlertTriangle className="w-3 h-3 mr-1" />
+          Flagged
+        </span>
+      );
+    case 'safe':
+      return (
+        <span className="inline-flex items-center px-2 py-1 text-xs font-medium bg-green-100 text-green-800 rounded-full">
+          <CheckCircle className="w-3 h-3 mr-1" />
+          Safe
+        </span>
+      );
+    default:
+      return (
+        <span className="inline-flex items-center px-2 py-1 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full">
+          <HelpCircle className="w-3 h-3 mr-1" />
+          Undecided
+        </span>
+      );
+  }
+};
+
+const ModerationReportModal = ({ videoId, onClose }) => {
+  const { token } = useAuth();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/videos/${videoId}/moderation`);
+        setReport(response.data.report);
+      } catch (err) {
+        setError(err.response?.data?.msg || 'Failed to load moderation report');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [videoId]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-600 bg-opacity-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Moderation Evidence</h2>
+            {report && (
+              <p className="text-sm text-gray-500">
+                Analyzed {new Date(report.analyzedAt).toLocaleString()} · {report.frames.length} frames sampled
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : error ? (
+            <p className="text-center text-gray-600 py-8">{error}</p>
+          ) : (
+            <div className="space-y-4">
+              {report.note && (
+                <div className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-100 p-3 rounded">{report.note}</div>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                {report.frames.map((frame) => (
+                  <div key={frame.frame} className="border border-gray-200 rounded-lg overflow-hidden">
+                    {frame.image ? (
+                      <img
+                        src={`${API_URL}/api/videos/${videoId}/moderation/frames/${frame.image}?token=${token}`}
+                        alt={`Frame at ${formatTimestamp(frame.timestamp)}`}
+                        className="w-full aspect-video object-contain bg-black"
+                      />
+                    ) : (
+                      <div className="w-full aspect-video bg-gray-100 flex items-center justify-center text-xs text-gray-500">
+                        Image not retained for safe frames
+                      </div>
+                    )}
+                    <div className="p-3 space-y-1 text-sm">
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-900">@ {formatTimestamp(frame.timestamp)}</span>
+                        {getVerdictBadge(frame.verdict)}
+                      </div>
+                      {frame.category && (
+                        <div className="text-gray-600">Category: {CATEGORY_LABELS[frame.category] || frame.category}</div>
+                      )}
+                      <div className="text-gray-600">Confidence: {Math.round((frame.confidence || 0) * 100)}%</div>
+                      <div className="text-gray-500 text-xs">Provider: {frame.provider || 'none'}</div>
+                      {frame.providerErrors?.length > 0 && (
+                        <div className="text-xs text-red-600">{frame.providerErrors.join('; ')}</div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationReportModal;
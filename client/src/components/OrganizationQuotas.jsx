@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Building2 } from 'lucide-react';
+import { QuotaBars } from './QuotaUsage';
+import { QuotaFields, toQuotaForm, fromQuotaForm } from './QuotaEditor';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+// Shared limits for every organization users belong to
+const OrganizationQuotas = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const [forms, setForms] = useState({});
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, []);
+
+  const fetchOrganizations = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/organization-quotas`);
+      setOrganizations(response.data.organizations);
+      setForms(Object.fromEntries(response.data.organizations.map(org => [org.name, toQuotaForm(org.limits)])));
+    } catch (error) {
+      console.error('Failed to fetch organization quotas:', error);
+    }
+  };
+
+  const saveOrganization = async (name) => {
+    setSaving(name);
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/admin/organization-quotas/${encodeURIComponent(name)}`,
+        fromQuotaForm(forms[name])
+      );
+      toast.success(response.data.msg);
+      fetchOrganizations();
+    } catch (error) {
+      console.error('Failed to update organization quota:', error);
+      toast.error(error.response?.data?.msg || 'Failed to update organization quota');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (organizations.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <Building2 className="w-5 h-5 text-primary-600 mr-2" />
+        <h3 className="text-lg font-semibold text-gray-900">Organization Quotas</h3>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Limits shared by all members of an organization, on top of each user's own quota. Leave a field empty for no limit.
+      </p>
+
+      <div className="space-y-6">
+        {organizations.map((org) => (
+          <div key={org.name} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="font-medium text-gray-900">{org.name}</h4>
+              <span className="text-sm text-gray-500">{org.members} member(s)</span>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <QuotaFields
+                form={forms[org.name]}
+                onChange={(form) => setForms(prev => ({ ...prev, [org.name]: form }))}
+              />
+              <QuotaBars limits={org.limits} usage={org.usage} />
+            </div>
+            <div className="mt-4 flex justify-end">
+              <button
+                onClick={() => saveOrganization(org.name)}
+                disabled={saving === org.name}
+                className="btn btn-primary disabled:opacity-50"
+              >
+                {saving === org.name ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationQuotas;
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { X } from 'lucide-react';
+import { QuotaBars } from './QuotaUsage';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const GB = 1024 ** 3;
+
+// Limits as form values: storage in GB, empty for unlimited
+export const toQuotaForm = (limits) => ({
+  storageGb: limits.storageBytes !== null ? String(Math.round((limits.storageBytes / GB) * 100) / 100) : '',
+  videoCount: limits.videoCount !== null ? String(limits.videoCount) : '',
+  processingMinutes: limits.processingMinutes !== null ? String(limits.processingMinutes) : ''
+});
+
+export const fromQuotaForm = (form) => ({
+  storageBytes: form.storageGb === '' ? null : Math.round(Number(form.storageGb) * GB),
+  videoCount: form.videoCount === '' ? null : Number(form.videoCount),
+  processingMinutes: form.processingMinutes === '' ? null : Number(form.processingMinutes)
+});
+
+export const QuotaFields = ({ form, onChange }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+    <div>
+      <label className="block font-medium text-gray-700">Storage (GB)</label>
+      <input type="number" min="0" step="0.1" className="input mt-1" placeholder="Unlimited"
+        value={form.storageGb} onChange={(e) => onChange({ ...form, storageGb: e.target.value })} />
+    </div>
+    <div>
+      <label className="block font-medium text-gray-700">Videos</label>
+      <input type="number" min="0" step="1" className="input mt-1" placeholder="Unlimited"
+        value={form.videoCount} onChange={(e) => onChange({ ...form, videoCount: e.target.value })} />
+    </div>
+    <div>
+      <label className="block font-medium text-gray-700">Minutes / month</label>
+      <input type="number" min="0" step="1" className="input mt-1" placeholder="Unlimited"
+        value={form.processingMinutes} onChange={(e) => onChange({ ...form, processingMinutes: e.target.value })} />
+    </div>
+  </div>
+);
+
+// Per-user quota dialog opened from UserManagement
+const QuotaEditor = ({ user, onClose }) => {
+  const [quota, setQuota] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchQuota = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/users/${user._id}/quota`);
+        setQuota(response.data.quota);
+        setForm(toQuotaForm(response.data.quota.user.limits));
+      } catch (error) {
+        console.error('Failed to fetch quota:', error);
+        toast.error('Failed to load quota');
+      }
+    };
+    fetchQuota();
+  }, [user._id]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put(`${API_URL}/api/users/${user._id}/quota`, fromQuotaForm(form));
+      toast.success(response.data.msg);
+      onClose();
+    } catch (error) {
+      console.error('Failed to update quota:', error);
+      toast.error(error.response?.data?.msg || 'Failed to update quota');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-600 bg-opacity-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Quota for {user.username}</h2>
+            <p className="text-sm text-gray-500">Leave a field empty for no limit.</p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!quota || !form ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          <div className="p-4 space-y-6">
+            <QuotaFields form={form} onChange={setForm} />
+
+            <div>
+              <h3 className="font-medium text-gray-900 mb-3">Current usage</h3>
+              <QuotaBars limits={quota.user.limits} usage={quota.user.usage} />
+            </div>
+
+            {quota.organization && (
+              <p className="text-sm text-gray-500">
+                {user.username} also counts towards the quota of {quota.organization.name}, set under Organization Quotas.
+              </p>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={onClose} className="btn btn-secondary">Cancel</button>
+              <button onClick={handleSave} disabled={saving} className="btn btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Quota'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuotaEditor;
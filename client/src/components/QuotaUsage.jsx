@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { HardDrive } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+};
+
+const METRICS = [
+  { field: 'storageBytes', label: 'Storage', format: formatBytes },
+  { field: 'videoCount', label: 'Videos', format: (value) => String(value) },
+  { field: 'processingMinutes', label: 'Processing this month', format: (value) => `${value} min` }
+];
+
+const barColor = (percent) => {
+  if (percent >= 90) return 'bg-red-600';
+  if (percent >= 75) return 'bg-yellow-500';
+  return 'bg-primary-600';
+};
+
+// One bar per limited metric; unlimited ones just show what is used
+export const QuotaBars = ({ limits, usage }) => (
+  <div className="space-y-3">
+    {METRICS.map(({ field, label, format }) => {
+      const limit = limits[field];
+      const used = usage[field];
+      const percent = limit ? Math.min(Math.round((used / limit) * 100), 100) : 0;
+
+      return (
+        <div key={field}>
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span className="text-gray-700">{label}</span>
+            <span className="text-gray-500">
+              {format(used)} {limit !== null ? `of ${format(limit)}` : '(unlimited)'}
+            </span>
+          </div>
+          {limit !== null && (
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className={`${barColor(percent)} h-2 rounded-full`} style={{ width: `${percent}%` }}></div>
+            </div>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+// The signed-in user's quota usage, and their organization's if they have one
+const QuotaUsage = () => {
+  const [quota, setQuota] = useState(null);
+
+  useEffect(() => {
+    const fetchQuota = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/users/me/quota`);
+        setQuota(response.data.quota);
+      } catch (error) {
+        console.error('Failed to fetch quota:', error);
+      }
+    };
+    fetchQuota();
+  }, []);
+
+  if (!quota) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <HardDrive className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-lg font-semibold text-gray-900">Usage & Quotas</h2>
+      </div>
+      <div className={`grid grid-cols-1 ${quota.organization ? 'md:grid-cols-2' : ''} gap-6`}>
+        <div>
+          <h3 className="font-medium text-gray-900 mb-3">You</h3>
+          <QuotaBars limits={quota.user.limits} usage={quota.user.usage} />
+        </div>
+        {quota.organization && (
+          <div>
+            <h3 className="font-medium text-gray-900 mb-3">{quota.organization.name}</h3>
+            <QuotaBars limits={quota.organization.limits} usage={quota.organization.usage} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuotaUsage;
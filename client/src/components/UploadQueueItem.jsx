@@ -0,0 +1,229 @@
+import { Link } from 'react-router-dom';
+import { FileVideo, X, RotateCcw, AlertTriangle, CheckCircle, XCircle, Loader } from 'lucide-react';
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const ProgressBar = ({ percent }) => (
+  <div className="w-full bg-gray-200 rounded-full h-2">
+    <div
+      className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+      style={{ width: `${percent}%` }}
+    ></div>
+  </div>
+);
+
+// What happened to the video after its upload finished, from the Socket.IO
+// events the server sends to the uploader's room
+const ProcessingStatus = ({ videoId, progress }) => {
+  if (progress?.stage) {
+    return (
+      <div className="space-y-1">
+        <div className="flex items-center justify-between text-xs text-gray-600">
+          <span>{progress.stageLabel}...</span>
+          <span>{progress.progress}%</span>
+        </div>
+        <ProgressBar percent={progress.progress} />
+        <p className="text-xs text-gray-500">{progress.message}</p>
+      </div>
+    );
+  }
+
+  const link = (
+    <Link to={`/video/${videoId}`} className="ml-2 text-primary-600 hover:underline">View</Link>
+  );
+
+  switch (progress?.status) {
+    case 'completed':
+      return (
+        <p className="text-sm text-green-700 flex items-center">
+          <CheckCircle className="w-4 h-4 mr-1" />
+          Processed{progress.analysis?.status && ` · ${progress.analysis.status}`}
+          {link}
+        </p>
+      );
+    case 'failed':
+    case 'rejected':
+    case 'cancelled':
+      return (
+        <p className="text-sm text-red-700 flex items-center">
+          <XCircle className="w-4 h-4 mr-1" />
+          <span className="capitalize">{progress.status}</span>
+          {progress.error && `: ${progress.error}`}
+          {link}
+        </p>
+      );
+    default:
+      return (
+        <p className="text-sm text-gray-600 flex items-center">
+          <Loader className="w-4 h-4 mr-1 animate-spin" />
+          Uploaded, waiting for processing
+          {link}
+        </p>
+      );
+  }
+};
+
+// One file in the batch upload queue: its own metadata form while it waits,
+// then upload progress, then processing status
+const UploadQueueItem = ({ item, categories, progress, onChange, onRemove, onRetry, onCancel }) => {
+  const editable = item.status === 'ready' || item.status === 'failed';
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    onChange({ [name]: type === 'checkbox' ? checked : value });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-center space-x-3 min-w-0">
+          <FileVideo className="w-8 h-8 text-primary-600 flex-shrink-0" />
+          <div className="min-w-0">
+            <p className="font-medium text-gray-900 truncate" title={item.file.name}>{item.file.name}</p>
+            <p className="text-sm text-gray-500">{formatFileSize(item.file.size)}</p>
+            {item.resumeFrom !== null && ['ready', 'queued'].includes(item.status) && (
+              <p className="text-sm text-primary-600">
+                An earlier upload of this file stopped at {item.resumeFrom}% and will continue from there
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center space-x-2 flex-shrink-0">
+          {item.status === 'failed' && (
+            <button type="button" onClick={onRetry} className="btn btn-secondary text-xs px-2 py-1">
+              <RotateCcw className="w-3 h-3 mr-1" />
+              Retry
+            </button>
+          )}
+          {item.status === 'uploading' ? (
+            <button type="button" onClick={onCancel} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel upload">
+              <X className="w-5 h-5" />
+            </button>
+          ) : (
+            <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-gray-600" title="Remove from list">
+              <X className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editable && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Title *</label>
+            <input
+              type="text"
+              name="title"
+              className="input mt-1"
+              placeholder="Enter video title"
+              value={item.fields.title}
+              onChange={handleChange}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Category</label>
+            <select name="category" className="input mt-1" value={item.fields.category} onChange={handleChange}>
+              {categories.map((category) => (
+                <option key={category} value={category} className="capitalize">{category}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Description</label>
+            <textarea
+              name="description"
+              rows={2}
+              className="input mt-1"
+              placeholder="Enter video description"
+              value={item.fields.description}
+              onChange={handleChange}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Tags</label>
+            <input
+              type="text"
+              name="tags"
+              className="input mt-1"
+              placeholder="Enter tags separated by commas"
+              value={item.fields.tags}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="flex items-center md:pt-6">
+            <input
+              type="checkbox"
+              id={`isPublic-${item.id}`}
+              name="isPublic"
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              checked={item.fields.isPublic}
+              onChange={handleChange}
+            />
+            <label htmlFor={`isPublic-${item.id}`} className="ml-2 block text-sm text-gray-700">
+              Public (visible to all users in organization)
+            </label>
+          </div>
+        </div>
+      )}
+
+      {!editable && (
+        <p className="text-sm text-gray-700">
+          <span className="font-medium">{item.fields.title}</span>
+          <span className="text-gray-500 capitalize"> · {item.fields.category}</span>
+          {item.fields.isPublic && <span className="text-gray-500"> · public</span>}
+        </p>
+      )}
+
+      {item.status === 'queued' && (
+        <p className="text-sm text-gray-500">Waiting to upload...</p>
+      )}
+
+      {item.status === 'uploading' && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between text-sm text-gray-600">
+            <span>{item.waitingForNetwork ? 'Connection lost, will resume when back online...' : 'Uploading...'}</span>
+            <span>{item.progress}%</span>
+          </div>
+          <ProgressBar percent={item.progress} />
+        </div>
+      )}
+
+      {item.status === 'failed' && item.error && (
+        <p className="text-sm text-red-700">{item.error}</p>
+      )}
+
+      {item.status === 'uploaded' && <ProcessingStatus videoId={item.videoId} progress={progress} />}
+
+      {item.duplicates?.length > 0 && (
+        <div className={`flex items-start space-x-2 text-sm p-3 rounded-lg ${item.status === 'uploaded' ? 'bg-yellow-50' : 'bg-red-50'}`}>
+          <AlertTriangle className={`w-4 h-4 mt-0.5 flex-shrink-0 ${item.status === 'uploaded' ? 'text-yellow-600' : 'text-red-600'}`} />
+          <div>
+            <p className="text-gray-900">
+              {item.status === 'uploaded' ? 'Looks like a copy of:' : 'Already exists as:'}
+            </p>
+            <ul className="mt-1 space-y-1">
+              {item.duplicates.map((duplicate) => (
+                <li key={duplicate.video}>
+                  <Link to={`/video/${duplicate.video}`} className="text-primary-600 hover:underline">
+                    {duplicate.title}
+                  </Link>
+                  <span className="text-gray-500">
+                    {duplicate.match === 'exact' ? ' (identical file)' : ` (${Math.round(duplicate.similarity * 100)}% similar)`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadQueueItem;
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Link2, CheckCircle, XCircle } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Has the server download a video from a URL. The download runs as a job and
+// reports progress over the socket; defaults come from the upload page.
+const UrlImport = ({ defaults }) => {
+  const { socket } = useSocket();
+  const [url, setUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // { importId, url, state, percent, received, total, videoId, title, error }
+  const [imports, setImports] = useState([]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleProgress = (data) => {
+      setImports(prev => {
+        const exists = prev.some(entry => entry.importId === data.importId);
+        return exists
+          ? prev.map(entry => (entry.importId === data.importId ? { ...entry, ...data } : entry))
+          : [{ ...data }, ...prev];
+      });
+
+      if (data.state === 'completed') {
+        toast.success(`Imported "${data.title}"`);
+      } else if (data.state === 'failed') {
+        toast.error(`Import failed: ${data.error}`);
+      }
+    };
+
+    socket.on('importProgress', handleProgress);
+    return () => socket.off('importProgress', handleProgress);
+  }, [socket]);
+
+  const handleImport = async () => {
+    if (!url.trim()) {
+      toast.error('Please enter a video URL');
+      return;
+    }
+
+    const tags = defaults.tags
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag.length > 0);
+
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/videos/import`, {
+        url: url.trim(),
+        title: title.trim(),
+        description: defaults.description.trim(),
+        category: defaults.category,
+        isPublic: defaults.isPublic,
+        tags
+      });
+
+      const { importId } = response.data;
+      setImports(prev => (
+        prev.some(entry => entry.importId === importId)
+          ? prev
+          : [{ importId, url: url.trim(), state: 'queued' }, ...prev]
+      ));
+      setUrl('');
+      setTitle('');
+    } catch (error) {
+      console.error('Import error:', error);
+      toast.error(error.response?.data?.msg || 'Failed to start import');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <Link2 className="w-5 h-5 text-primary-600 mr-2" />
+        <h2 className="text-lg font-semibold text-gray-900">Import from URL</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        The server downloads the file and processes it like an upload. Description, tags, category and visibility come from the defaults below.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          <label htmlFor="importUrl" className="block text-sm font-medium text-gray-700">Video URL</label>
+          <input
+            type="url"
+            id="importUrl"
+            className="input mt-1"
+            placeholder="https://example.com/lecture.mp4"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="importTitle" className="block text-sm font-medium text-gray-700">Title</label>
+          <input
+            type="text"
+            id="importTitle"
+            className="input mt-1"
+            placeholder="Defaults to the file name"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="mt-4 flex justify-end">
+        <button type="button" onClick={handleImport} disabled={submitting} className="btn btn-primary disabled:opacity-50">
+          {submitting ? 'Starting...' : 'Import'}
+        </button>
+      </div>
+
+      {imports.length > 0 && (
+        <ul className="mt-4 space-y-3">
+          {imports.map((entry) => (
+            <li key={entry.importId} className="border border-gray-200 rounded-lg p-3 text-sm">
+              <p className="text-gray-700 truncate" title={entry.url}>{entry.url}</p>
+
+              {['queued', 'downloading', 'validating'].includes(entry.state) && (
+                <div className="mt-2 space-y-1">
+                  <div className="flex items-center justify-between text-xs text-gray-600">
+                    <span>
+                      {entry.state === 'queued' && 'Waiting to start...'}
+                      {entry.state === 'downloading' && 'Downloading...'}
+                      {entry.state === 'validating' && 'Checking file...'}
+                    </span>
+                    <span>
+                      {entry.received !== undefined && formatMegabytes(entry.received)}
+                      {entry.total ? ` / ${formatMegabytes(entry.total)}` : ''}
+                    </span>
+                  </div>
+                  {entry.percent !== null && entry.percent !== undefined && (
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+                        style={{ width: `${entry.percent}%` }}
+                      ></div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {entry.state === 'completed' && (
+                <p className="mt-2 text-green-700 flex items-center">
+                  <CheckCircle className="w-4 h-4 mr-1" />
+                  Imported as
+                  <Link to={`/video/${entry.videoId}`} className="ml-1 text-primary-600 hover:underline">{entry.title}</Link>
+                </p>
+              )}
+
+              {entry.state === 'failed' && (
+                <p className="mt-2 text-red-700 flex items-center">
+                  <XCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                  {entry.error}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UrlImport;
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { FileVideo } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+// Poster frame that plays the muted preview clip while hovered, once the
+// video has finished processing
+const VideoThumbnail = ({ video, className = '', iconClassName = 'w-12 h-12' }) => {
+  const { token } = useAuth();
+  const [failed, setFailed] = useState(false);
+  const [hovering, setHovering] = useState(false);
+  const [previewFailed, setPreviewFailed] = useState(false);
+
+  const hasPreview = video.thumbnails?.preview && video.processingStatus === 'completed' && !previewFailed;
+
+  if (!video.thumbnails?.poster || failed) {
+    return (
+      <div className={`bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center ${className}`}>
+        <FileVideo className={`${iconClassName} text-indigo-400`} />
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`relative overflow-hidden ${className}`}
+      onMouseEnter={() => setHovering(true)}
+      onMouseLeave={() => setHovering(false)}
+    >
+      <img
+        src={`${API_URL}/api/videos/${video._id}/thumbnail?token=${token}`}
+        alt={video.title}
+        loading="lazy"
+        className="w-full h-full object-cover"
+        onError={() => setFailed(true)}
+      />
+      {hovering && hasPreview && (
+        <video
+          src={`${API_URL}/api/videos/${video._id}/preview.mp4?token=${token}`}
+          className="absolute inset-0 w-full h-full object-cover"
+          muted
+          loop
+          autoPlay
+          playsInline
+          onError={() => setPreviewFailed(true)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default VideoThumbnail;
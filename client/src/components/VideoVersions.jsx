@@ -0,0 +1,145 @@
+import { useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { History, Upload, RotateCcw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 MB';
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// File history for a video: who uploaded each version and when. Only the
+// owner or an admin sees it and can upload a replacement; admins can roll
+// back to an earlier file.
+const VideoVersions = ({ video }) => {
+  const navigate = useNavigate();
+  const { user, isAdmin } = useAuth();
+  const fileInputRef = useRef(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  const canReplace = isAdmin || (user?.role === 'editor' && video.uploadedBy?._id === user._id);
+  // Videos uploaded before versioning only have their current file
+  const versions = video.versions?.length
+    ? [...video.versions].sort((a, b) => b.version - a.version)
+    : [{ version: 1, originalName: video.originalName, fileSize: video.fileSize, uploadedBy: video.uploadedBy, uploadedAt: video.createdAt }];
+  const currentVersion = video.currentVersion || 1;
+
+  if (!canReplace) return null;
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('video', file);
+
+    setUploadProgress(0);
+    try {
+      const response = await axios.put(`${API_URL}/api/videos/${video._id}/file`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        onUploadProgress: (progressEvent) => {
+          setUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      });
+      toast.success(response.data.msg);
+      navigate('/videos');
+    } catch (error) {
+      console.error('Failed to upload new version:', error);
+      toast.error(error.response?.data?.msg || 'Failed to upload new version');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Make version ${version} current again? The video will be reprocessed.`)) {
+      return;
+    }
+
+    setRollingBack(version);
+    try {
+      const response = await axios.post(`${API_URL}/api/videos/${video._id}/versions/${version}/rollback`);
+      toast.success(response.data.msg);
+      navigate('/videos');
+    } catch (error) {
+      console.error('Rollback failed:', error);
+      toast.error(error.response?.data?.msg || 'Rollback failed');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 className="font-semibold text-gray-900 mb-4 flex items-center">
+        <History className="w-4 h-4 mr-2" />
+        Versions
+      </h3>
+
+      <ul className="space-y-3 text-sm">
+        {versions.map((entry) => (
+          <li key={entry.version} className="flex items-start justify-between gap-2">
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="font-medium">v{entry.version}</span>
+                {entry.version === currentVersion && (
+                  <span className="px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded-full">Current</span>
+                )}
+              </div>
+              <p className="text-gray-600 truncate" title={entry.originalName}>{entry.originalName}</p>
+              <p className="text-xs text-gray-500">
+                {entry.uploadedBy?.username || 'Unknown'}
+                {entry.uploadedAt && ` · ${new Date(entry.uploadedAt).toLocaleString()}`}
+                {` · ${formatFileSize(entry.fileSize)}`}
+              </p>
+            </div>
+            {isAdmin && entry.version !== currentVersion && (
+              <button
+                onClick={() => handleRollback(entry.version)}
+                disabled={rollingBack !== null}
+                className="btn btn-secondary text-xs px-2 py-1 flex-shrink-0 disabled:opacity-50"
+                title="Roll back to this version"
+              >
+                <RotateCcw className="w-3 h-3 mr-1" />
+                {rollingBack === entry.version ? 'Rolling back...' : 'Roll back'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canReplace && (
+        <div className="mt-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="video/*"
+            className="hidden"
+            onChange={handleFileSelected}
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploadProgress !== null}
+            className="btn btn-secondary w-full disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            {uploadProgress !== null ? `Uploading... ${uploadProgress}%` : 'Upload New Version'}
+          </button>
+          <p className="text-xs text-gray-500 mt-2">
+            The link and view count stay the same; the new file is processed again.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoVersions;
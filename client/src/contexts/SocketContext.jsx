@@ -5,6 +5,33 @@ import toast from 'react-hot-toast';
 
 const SocketContext = createContext();
 
+const STAGE_LABELS = {
+  clipping: 'Cutting clip',
+  probing: 'Reading video info',
+  thumbnails: 'Generating thumbnails',
+  sampling: 'Detecting scenes',
+  extracting: 'Extracting frames',
+  fingerprinting: 'Checking for duplicates',
+  analyzing: 'Analyzing content',
+  finalizing: 'Saving results',
+  transcoding: 'Preparing adaptive stream'
+};
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < 60) return `~${seconds}s left`;
+  return `~${Math.ceil(seconds / 60)}m left`;
+};
+
+// Stage name plus ETA, e.g. "Analyzing content (40%) · ~12s left"
+const describeProgress = (data) => {
+  const label = STAGE_LABELS[data.stage] || 'Processing';
+  const parts = [data.stagePercent !== undefined ? `${label} (${data.stagePercent}%)` : label];
+  const eta = formatEta(data.eta);
+  if (eta) parts.push(eta);
+  return parts.join(' · ');
+};
+
 export const useSocket = () => {
   const context = useContext(SocketContext);
   if (!context) {
@@ -44,7 +71,11 @@ export const SocketProvider = ({ children }) => {
       newSocket.on('videoProgress', (data) => {
         setVideoProgress(prev => ({
           ...prev,
-          [data.videoId]: data
+          [data.videoId]: {
+            ...data,
+            stageLabel: STAGE_LABELS[data.stage] || 'Processing',
+            message: describeProgress(data)
+          }
         }));
       });
 
@@ -62,13 +93,28 @@ export const SocketProvider = ({ children }) => {
             : `Video processing completed! Status: ${data.analysis?.status || 'Unknown'}`;
           toast.success(statusMessage);
         } else if (data.status === 'failed') {
-          const errorMessage = data.error && !data.error.includes('GoogleGenerativeAI') && !data.error.includes('quota')
-            ? `Video processing failed: ${data.error}`
-            : 'Video processing completed with default settings';
-          toast.error(errorMessage);
+          toast.error(`Video processing failed: ${data.error || 'Unknown error'}`);
+        } else if (data.status === 'cancelled') {
+          toast('Video processing cancelled');
+        } else if (data.status === 'rejected') {
+          toast.error(`Video rejected: ${data.error || 'Content policy violation'}`);
         }
       });
 
+      // Near-duplicates only show up once frames have been sampled
+      newSocket.on('videoDuplicate', (data) => {
+        const [closest] = data.duplicates;
+        toast(`"${data.title}" looks like a copy of "${closest.title}"`, { icon: '⚠️', duration: 6000 });
+      });
+
+      // Adaptive stream finished; drop the transcoding stage from the card
+      newSocket.on('videoTranscoded', (data) => {
+        setVideoProgress(prev => ({
+          ...prev,
+          [data.videoId]: { videoId: data.videoId, status: 'completed' }
+        }));
+      });
+
       newSocket.on('connect_error', (error) => {
         console.error('Socket connection error:', error);
         toast.error('Real-time connection failed');
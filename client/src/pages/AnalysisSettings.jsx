@@ -0,0 +1,419 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import LibraryRescan from '../components/LibraryRescan';
+import { Shield, SlidersHorizontal, Ban, Trash2, ShieldAlert } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
+  : 'http://localhost:5000');
+
+const CATEGORIES = ['default', 'general', 'education', 'entertainment', 'business', 'training', 'marketing'];
+
+const ACTION_LABELS = {
+  flag: 'Flag',
+  review: 'Send to review',
+  reject: 'Auto-reject'
+};
+
+const formatClass = (name) => name.replace(/_/g, ' ');
+
+const AnalysisSettings = () => {
+  const { isAdmin } = useAuth();
+  const [policies, setPolicies] = useState({});
+  const [customized, setCustomized] = useState([]);
+  const [blocklist, setBlocklist] = useState([]);
+  const [moderationPolicies, setModerationPolicies] = useState({});
+  const [moderationCustomized, setModerationCustomized] = useState([]);
+  const [moderationClasses, setModerationClasses] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchPolicies();
+      fetchModerationPolicies();
+      fetchBlocklist();
+    }
+  }, [isAdmin]);
+
+  const fetchPolicies = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/sampling-policies`);
+      const { policies: saved, defaults } = response.data;
+      const byCategory = Object.fromEntries(saved.map(policy => [policy.category, policy]));
+      const fallback = byCategory.default || defaults;
+
+      setPolicies(Object.fromEntries(CATEGORIES.map(category => [
+        category,
+        { ...fallback, ...byCategory[category], category }
+      ])));
+      setCustomized(saved.map(policy => policy.category));
+    } catch (error) {
+      console.error('Failed to fetch sampling policies:', error);
+      toast.error('Failed to load analysis settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchModerationPolicies = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/moderation-policies`);
+      const { policies: saved, defaults, classes } = response.data;
+      const byCategory = Object.fromEntries(saved.map(policy => [policy.category, policy]));
+      const fallback = byCategory.default || defaults;
+
+      setModerationPolicies(Object.fromEntries(CATEGORIES.map(category => [
+        category,
+        { ...fallback, ...byCategory[category], category }
+      ])));
+      setModerationCustomized(saved.map(policy => policy.category));
+      setModerationClasses(classes);
+    } catch (error) {
+      console.error('Failed to fetch moderation policies:', error);
+      toast.error('Failed to load moderation policies');
+    }
+  };
+
+  const handleModerationChange = (category, field, value) => {
+    setModerationPolicies(prev => ({
+      ...prev,
+      [category]: { ...prev[category], [field]: value }
+    }));
+  };
+
+  const toggleModerationClass = (category, name) => {
+    const { classes } = moderationPolicies[category];
+    handleModerationChange(
+      category,
+      'classes',
+      classes.includes(name) ? classes.filter(item => item !== name) : [...classes, name]
+    );
+  };
+
+  const saveModerationPolicy = async (category) => {
+    try {
+      await axios.put(`${API_URL}/api/admin/moderation-policies/${category}`, moderationPolicies[category]);
+      setModerationCustomized(prev => [...new Set([...prev, category])]);
+      toast.success(`Moderation policy for ${category} saved`);
+    } catch (error) {
+      console.error('Failed to save moderation policy:', error);
+      toast.error(error.response?.data?.msg || 'Failed to save moderation policy');
+    }
+  };
+
+  const resetModerationPolicy = async (category) => {
+    try {
+      await axios.delete(`${API_URL}/api/admin/moderation-policies/${category}`);
+      toast.success(`${category} now uses the default moderation policy`);
+      fetchModerationPolicies();
+    } catch (error) {
+      console.error('Failed to reset moderation policy:', error);
+      toast.error('Failed to reset moderation policy');
+    }
+  };
+
+  const fetchBlocklist = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/blocklist`);
+      setBlocklist(response.data.entries);
+    } catch (error) {
+      console.error('Failed to fetch blocklist:', error);
+      toast.error('Failed to load blocklist');
+    }
+  };
+
+  const removeBlocklistEntry = async (entry) => {
+    if (!window.confirm(`Stop blocking "${entry.sourceTitle || 'this content'}"? Videos already flagged stay flagged.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/api/admin/blocklist/${entry._id}`);
+      setBlocklist(prev => prev.filter(item => item._id !== entry._id));
+      toast.success('Blocklist entry removed');
+    } catch (error) {
+      console.error('Failed to remove blocklist entry:', error);
+      toast.error(error.response?.data?.msg || 'Failed to remove blocklist entry');
+    }
+  };
+
+  const handleChange = (category, field, value) => {
+    setPolicies(prev => ({
+      ...prev,
+      [category]: { ...prev[category], [field]: value }
+    }));
+  };
+
+  const savePolicy = async (category) => {
+    try {
+      await axios.put(`${API_URL}/api/admin/sampling-policies/${category}`, policies[category]);
+      setCustomized(prev => [...new Set([...prev, category])]);
+      toast.success(`Sampling policy for ${category} saved`);
+    } catch (error) {
+      console.error('Failed to save sampling policy:', error);
+      toast.error(error.response?.data?.msg || 'Failed to save sampling policy');
+    }
+  };
+
+  const resetPolicy = async (category) => {
+    try {
+      await axios.delete(`${API_URL}/api/admin/sampling-policies/${category}`);
+      toast.success(`${category} now uses the default policy`);
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to reset sampling policy:', error);
+      toast.error('Failed to reset sampling policy');
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="text-center py-12">
+        <Shield className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Access Denied</h2>
+        <p className="text-gray-600">You need admin permissions to change analysis settings.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Analysis Settings</h1>
+        <p className="mt-2 text-gray-600">
+          Control how frames are sampled and how moderation results are acted on in each category.
+        </p>
+      </div>
+
+      {/* Sampling Policies */}
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <SlidersHorizontal className="w-5 h-5 text-primary-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Frame Sampling</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Sample count scales with duration (samples per minute) between the minimum and maximum.
+          Scene detection places up to half of the samples on scene changes.
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Category</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Min</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Max</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Per minute</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Scene detection</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Scene threshold</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {CATEGORIES.map((category) => {
+                const policy = policies[category];
+                return (
+                  <tr key={category}>
+                    <td className="px-3 py-2 capitalize font-medium text-gray-900">
+                      {category}
+                      {category !== 'default' && !customized.includes(category) && (
+                        <span className="ml-2 text-xs text-gray-400 normal-case">(inherits default)</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="1" className="input w-20" value={policy.minSamples}
+                        onChange={(e) => handleChange(category, 'minSamples', e.target.value)} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="1" className="input w-20" value={policy.maxSamples}
+                        onChange={(e) => handleChange(category, 'maxSamples', e.target.value)} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="0" step="0.5" className="input w-20" value={policy.samplesPerMinute}
+                        onChange={(e) => handleChange(category, 'samplesPerMinute', e.target.value)} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="checkbox" className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                        checked={policy.sceneDetection}
+                        onChange={(e) => handleChange(category, 'sceneDetection', e.target.checked)} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="0.05" max="0.95" step="0.05" className="input w-20" value={policy.sceneThreshold}
+                        onChange={(e) => handleChange(category, 'sceneThreshold', e.target.value)} />
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                      <button onClick={() => savePolicy(category)} className="btn btn-primary text-xs px-3 py-1">
+                        Save
+                      </button>
+                      {customized.includes(category) && (
+                        <button onClick={() => resetPolicy(category)} className="btn btn-secondary text-xs px-3 py-1">
+                          Reset
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Moderation Policies */}
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <ShieldAlert className="w-5 h-5 text-primary-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Moderation Policy</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          A flagged frame counts when its class is checked and the provider's confidence reaches the threshold.
+          Once enough frames count, the action is taken; fewer send the video to manual review.
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Category</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Content classes</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Threshold</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Frames</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Action</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {CATEGORIES.filter(category => moderationPolicies[category]).map((category) => {
+                const policy = moderationPolicies[category];
+                return (
+                  <tr key={category}>
+                    <td className="px-3 py-2 capitalize font-medium text-gray-900">
+                      {category}
+                      {category !== 'default' && !moderationCustomized.includes(category) && (
+                        <span className="ml-2 text-xs text-gray-400 normal-case">(inherits default)</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="flex flex-wrap gap-x-3 gap-y-1">
+                        {moderationClasses.map((name) => (
+                          <label key={name} className="inline-flex items-center text-xs text-gray-700 capitalize whitespace-nowrap">
+                            <input type="checkbox" className="h-3 w-3 mr-1 text-primary-600 border-gray-300 rounded"
+                              checked={policy.classes.includes(name)}
+                              onChange={() => toggleModerationClass(category, name)} />
+                            {formatClass(name)}
+                          </label>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="0" max="1" step="0.05" className="input w-20" value={policy.flagThreshold}
+                        onChange={(e) => handleModerationChange(category, 'flagThreshold', e.target.value)} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="1" className="input w-20" value={policy.minFlaggedFrames}
+                        onChange={(e) => handleModerationChange(category, 'minFlaggedFrames', e.target.value)} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <select className="input w-36" value={policy.action}
+                        onChange={(e) => handleModerationChange(category, 'action', e.target.value)}>
+                        {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                      <button onClick={() => saveModerationPolicy(category)} className="btn btn-primary text-xs px-3 py-1">
+                        Save
+                      </button>
+                      {moderationCustomized.includes(category) && (
+                        <button onClick={() => resetModerationPolicy(category)} className="btn btn-secondary text-xs px-3 py-1">
+                          Reset
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Bulk re-analysis after policy or provider changes */}
+      <LibraryRescan categories={CATEGORIES.filter(category => category !== 'default')} />
+
+      {/* Blocked Content */}
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <Ban className="w-5 h-5 text-primary-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Blocked Content</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Frame fingerprints of rejected videos, plus any content blocked from the video page.
+          New uploads with matching frames are flagged automatically.
+        </p>
+
+        {blocklist.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing is blocked yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Source</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Reason</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Frames</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Added</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {blocklist.map((entry) => (
+                  <tr key={entry._id}>
+                    <td className="px-3 py-2 font-medium text-gray-900">
+                      {entry.sourceVideo ? (
+                        <Link to={`/video/${entry.sourceVideo}`} className="text-primary-600 hover:underline">
+                          {entry.sourceTitle || 'Untitled video'}
+                        </Link>
+                      ) : (entry.sourceTitle || 'Unknown')}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">{entry.reason}</td>
+                    <td className="px-3 py-2 text-gray-700">{entry.hashCount}</td>
+                    <td className="px-3 py-2 text-gray-500 whitespace-nowrap">
+                      {entry.origin === 'rejection' ? 'On rejection' : 'Manually'}
+                      {entry.addedBy?.username && ` by ${entry.addedBy.username}`}
+                      {` · ${new Date(entry.createdAt).toLocaleDateString()}`}
+                    </td>
+                    <td className="px-3 py-2">
+                      <button
+                        onClick={() => removeBlocklistEntry(entry)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Remove from blocklist"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisSettings;
@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
+import VideoThumbnail from '../components/VideoThumbnail';
+import QuotaUsage from '../components/QuotaUsage';
 import { 
   Video, 
   Upload, 
@@ -47,10 +49,16 @@ const Dashboard = () => {
       const videos = videosResponse.data.videos;
       setRecentVideos(videos);
 
-      // For admins, fetch videos that might need review (flagged or from other users)
+      // For admins, fetch videos that might need review (flagged or undecided by moderation)
       if (isAdmin) {
-        const reviewResponse = await axios.get(`${API_URL}/api/videos?sensitivity=flagged&limit=10`);
-        setPendingReviewVideos(reviewResponse.data.videos.filter(v => v.processingStatus !== 'rejected'));
+        const [flaggedResponse, reviewResponse] = await Promise.all([
+          axios.get(`${API_URL}/api/videos?sensitivity=flagged&limit=10`),
+          axios.get(`${API_URL}/api/videos?sensitivity=review&limit=10`)
+        ]);
+        setPendingReviewVideos(
+          [...reviewResponse.data.videos, ...flaggedResponse.data.videos]
+            .filter(v => v.processingStatus !== 'rejected')
+        );
       }
 
       // Calculate stats
@@ -80,6 +88,8 @@ const Dashboard = () => {
         return <Clock className="w-5 h-5 text-yellow-500" />;
       case 'failed':
         return <XCircle className="w-5 h-5 text-red-500" />;
+      case 'cancelled':
+        return <XCircle className="w-5 h-5 text-gray-400" />;
       default:
         return <Clock className="w-5 h-5 text-gray-500" />;
     }
@@ -91,6 +101,8 @@ const Dashboard = () => {
         return <span className="px-2 py-1 text-xs font-medium bg-green-100 text-green-800 rounded-full">Safe</span>;
       case 'flagged':
         return <span className="px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full">Flagged</span>;
+      case 'review':
+        return <span className="px-2 py-1 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full">Needs Review</span>;
       default:
         return <span className="px-2 py-1 text-xs font-medium bg-gray-100 text-gray-800 rounded-full">Unknown</span>;
     }
@@ -101,7 +113,7 @@ const Dashboard = () => {
     if (!reason) return;
 
     try {
-      await axios.put(`${API_URL}/api/videos/${videoId}/reject`, { reason });
+      const response = await axios.put(`${API_URL}/api/videos/${videoId}/reject`, { reason });
       
       // Update local state
       setPendingReviewVideos(prev => prev.filter(video => video._id !== videoId));
@@ -111,7 +123,8 @@ const Dashboard = () => {
           : video
       ));
       
-      toast.success('Video rejected successfully');
+      // Says whether the content made it onto the blocklist
+      toast.success(response.data.msg);
     } catch (error) {
       console.error('Failed to reject video:', error);
       toast.error('Failed to reject video: ' + (error.response?.data?.msg || error.message));
@@ -187,6 +200,9 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Quota Usage */}
+      {isEditor && <QuotaUsage />}
+
       {/* Quick Actions */}
       <div className="card">
         <h2 className="text-lg font-semibold text-gray-900 mb-6">Quick Actions</h2>
@@ -317,13 +333,20 @@ const Dashboard = () => {
               return (
                 <div key={video._id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
                   <div className="flex items-center space-x-4 flex-1 min-w-0">
+                    {!['flagged', 'review'].includes(video.sensitivityStatus) && (
+                      <VideoThumbnail
+                        video={video}
+                        className="hidden sm:flex w-24 aspect-video rounded flex-shrink-0"
+                        iconClassName="w-6 h-6"
+                      />
+                    )}
                     {getStatusIcon(progress?.status || video.processingStatus)}
                     <div className="flex-1 min-w-0">
                       <h3 className="font-medium text-gray-900 text-truncate">{video.title}</h3>
                       <p className="text-sm text-gray-500">
                         Uploaded {new Date(video.createdAt).toLocaleDateString()}
                       </p>
-                      {progress && (
+                      {progress?.stage && (
                         <div className="mt-2">
                           <div className="flex items-center space-x-2">
                             <div className="w-32 bg-gray-200 rounded-full h-2">
@@ -8,9 +8,12 @@ import {
   Shield, 
   Edit3, 
   Eye,
-  Calendar
+  Calendar,
+  Gauge
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import QuotaEditor from '../components/QuotaEditor';
+import OrganizationQuotas from '../components/OrganizationQuotas';
 
 const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD 
   ? 'https://video-management-system-jdkv.onrender.com' 
@@ -20,6 +23,7 @@ const UserManagement = () => {
   const { isAdmin } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [quotaUser, setQuotaUser] = useState(null);
 
   useEffect(() => {
     if (isAdmin) {
@@ -254,6 +258,15 @@ const UserManagement = () => {
                         <option value="admin">Admin</option>
                       </select>
 
+                      {/* Quota Button */}
+                      <button
+                        onClick={() => setQuotaUser(user)}
+                        className="text-primary-600 hover:text-primary-900 transition-colors"
+                        title="Edit quota"
+                      >
+                        <Gauge className="w-4 h-4" />
+                      </button>
+
                       {/* Deactivate Button */}
                       {user.isActive && (
                         <button
@@ -280,6 +293,8 @@ const UserManagement = () => {
         )}
       </div>
 
+      <OrganizationQuotas />
+
       {/* Role Descriptions */}
       <div className="card">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Role Permissions</h3>
@@ -315,6 +330,10 @@ const UserManagement = () => {
           </div>
         </div>
       </div>
+
+      {quotaUser && (
+        <QuotaEditor user={quotaUser} onClose={() => setQuotaUser(null)} />
+      )}
     </div>
   );
 };
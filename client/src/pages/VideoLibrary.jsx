@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { useSocket } from '../contexts/SocketContext';
 import { useAuth } from '../contexts/AuthContext';
+import VideoThumbnail from '../components/VideoThumbnail';
+import ModerationReportModal from '../components/ModerationReportModal';
 import { 
   Search, 
   Filter, 
@@ -16,7 +18,10 @@ import {
   Trash2,
   Ban,
   Shield,
-  X
+  X,
+  ClipboardList,
+  RotateCcw,
+  StopCircle
 } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD 
@@ -24,11 +29,12 @@ const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
   : 'http://localhost:5000');
 
 const VideoLibrary = () => {
-  const { videoProgress } = useSocket();
+  const { videoProgress, clearVideoProgress } = useSocket();
   const { user } = useAuth();
   const [videos, setVideos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({});
+  const [reportVideoId, setReportVideoId] = useState(null);
   const [filters, setFilters] = useState({
     search: '',
     status: '',
@@ -105,6 +111,8 @@ const VideoLibrary = () => {
         return <XCircle className="w-5 h-5 text-red-500" />;
       case 'rejected':
         return <Ban className="w-5 h-5 text-red-600" />;
+      case 'cancelled':
+        return <XCircle className="w-5 h-5 text-gray-400" />;
       default:
         return <Clock className="w-5 h-5 text-gray-500" />;
     }
@@ -116,6 +124,8 @@ const VideoLibrary = () => {
         return <span className="px-2 py-1 text-xs font-medium bg-green-100 text-green-800 rounded-full">Safe</span>;
       case 'flagged':
         return <span className="px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full">Flagged</span>;
+      case 'review':
+        return <span className="px-2 py-1 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full">Needs Review</span>;
       default:
         return <span className="px-2 py-1 text-xs font-medium bg-gray-100 text-gray-800 rounded-full">Analyzing</span>;
     }
@@ -163,7 +173,7 @@ const VideoLibrary = () => {
           ? { ...video, processingStatus: 'rejected', rejectionReason: reason }
           : video
       ));
-      alert('Video rejected successfully');
+      alert(response.data.msg);
     } catch (error) {
       console.error('Failed to reject video:', error);
       alert('Failed to reject video: ' + (error.response?.data?.msg || error.message));
@@ -192,6 +202,59 @@ const VideoLibrary = () => {
     }
   };
 
+  const handleReprocessVideo = async (videoId) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/videos/${videoId}/reprocess`);
+      // Drop the stale 'failed' socket update so the card shows the new state
+      clearVideoProgress(videoId);
+      setVideos(prev => prev.map(video =>
+        video._id === videoId
+          ? { ...video, ...response.data.video, uploadedBy: video.uploadedBy }
+          : video
+      ));
+    } catch (error) {
+      console.error('Failed to reprocess video:', error);
+      alert('Failed to reprocess video: ' + (error.response?.data?.msg || error.message));
+    }
+  };
+
+  const handleCancelVideo = async (videoId) => {
+    if (!window.confirm('Stop processing this video?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_URL}/api/videos/${videoId}/cancel`);
+      clearVideoProgress(videoId);
+      setVideos(prev => prev.map(video =>
+        video._id === videoId ? response.data.video : video
+      ));
+    } catch (error) {
+      console.error('Failed to cancel processing:', error);
+      alert('Failed to cancel processing: ' + (error.response?.data?.msg || error.message));
+    }
+  };
+
+  const canManageProcessing = (video) => {
+    return user?.role === 'admin' || (user?.role === 'editor' && video.uploadedBy?._id === user._id);
+  };
+
+  const canReprocessVideo = (video) => {
+    const status = videoProgress[video._id]?.status || video.processingStatus;
+    // Only admins may reprocess past a moderation verdict
+    const verdictHeld = ['flagged', 'review'].includes(video.sensitivityStatus) && user?.role !== 'admin';
+    return ['failed', 'cancelled'].includes(status) && canManageProcessing(video) && !verdictHeld;
+  };
+
+  const canCancelVideo = (video) => {
+    const progress = videoProgress[video._id];
+    const status = progress?.status || video.processingStatus;
+    const busy = ['pending', 'processing'].includes(status)
+      || progress?.stage === 'transcoding'
+      || (!progress && video.hls?.status === 'processing');
+    return busy && canManageProcessing(video);
+  };
+
   const canDeleteVideo = (video) => {
     return user?.role === 'editor' && video.uploadedBy?._id === user._id;
   };
@@ -249,6 +312,7 @@ const VideoLibrary = () => {
                 <option value="completed">Completed</option>
                 <option value="failed">Failed</option>
                 <option value="rejected">Rejected</option>
+                <option value="cancelled">Cancelled</option>
               </select>
             </div>
 
@@ -264,6 +328,7 @@ const VideoLibrary = () => {
                 <option value="">All Content</option>
                 <option value="safe">Safe</option>
                 <option value="flagged">Flagged</option>
+                <option value="review">Needs Review</option>
                 <option value="unknown">Unknown</option>
               </select>
             </div>
@@ -348,13 +413,12 @@ const VideoLibrary = () => {
                       </div>
                     </div>
                   ) : (
-                    // Safe video - show normal thumbnail placeholder
-                    <div className="w-full h-full bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
-                      <div className="text-center">
-                        <FileVideo className="w-12 h-12 text-indigo-400 mx-auto mb-2" />
-                        <div className="w-8 h-8 bg-indigo-500 rounded-full flex items-center justify-center absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 opacity-0 hover:opacity-100 transition-opacity">
-                          <Play className="w-4 h-4 text-white ml-0.5" />
-                        </div>
+                    // Safe video - show poster frame (or placeholder until it is generated)
+                    <div className="w-full h-full relative group">
+                      <VideoThumbnail video={video} className="w-full h-full" />
+                      {/* Ignores the pointer so hovering it keeps the preview playing */}
+                      <div className="w-8 h-8 bg-indigo-500 rounded-full flex items-center justify-center absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none">
+                        <Play className="w-4 h-4 text-white ml-0.5" />
                       </div>
                     </div>
                   )}
@@ -373,11 +437,11 @@ const VideoLibrary = () => {
                     )}
                   </div>
 
-                  {/* Progress Bar for Processing Videos */}
-                  {progress && progress.status === 'processing' && (
+                  {/* Progress Bar for Processing and Transcoding Videos */}
+                  {progress?.stage && (
                     <div className="bg-gray-50 p-3 rounded-lg">
                       <div className="flex-between mb-2">
-                        <span className="text-xs font-medium text-gray-600">Processing...</span>
+                        <span className="text-xs font-medium text-gray-600">{progress.stageLabel}...</span>
                         <span className="text-xs font-medium text-gray-600">{progress.progress}%</span>
                       </div>
                       <div className="w-full bg-gray-200 rounded-full h-2">
@@ -426,6 +490,28 @@ const VideoLibrary = () => {
                         </Link>
                       )}
                       
+                      {/* Cancel Button while Processing or Transcoding */}
+                      {canCancelVideo(video) && (
+                        <button
+                          onClick={() => handleCancelVideo(video._id)}
+                          className="text-gray-600 hover:text-gray-800 p-1"
+                          title="Cancel Processing"
+                        >
+                          <StopCircle className="w-4 h-4" />
+                        </button>
+                      )}
+
+                      {/* Retry Button for Failed or Cancelled Videos */}
+                      {canReprocessVideo(video) && (
+                        <button
+                          onClick={() => handleReprocessVideo(video._id)}
+                          className="text-primary-600 hover:text-primary-700 p-1"
+                          title="Retry Processing"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+
                       {/* Delete Button for Editors */}
                       {canDeleteVideo(video) && (
                         <button
@@ -448,8 +534,19 @@ const VideoLibrary = () => {
                         </button>
                       )}
                       
-                      {/* Override Safety Button for Admins on Flagged Videos */}
-                      {user?.role === 'admin' && video.sensitivityStatus === 'flagged' && (
+                      {/* Moderation Evidence for Admins */}
+                      {user?.role === 'admin' && video.processingStatus === 'completed' && (
+                        <button
+                          onClick={() => setReportVideoId(video._id)}
+                          className="text-gray-600 hover:text-gray-800 p-1"
+                          title="View Moderation Evidence"
+                        >
+                          <ClipboardList className="w-4 h-4" />
+                        </button>
+                      )}
+
+                      {/* Override Safety Button for Admins on Flagged or Unreviewed Videos */}
+                      {user?.role === 'admin' && ['flagged', 'review'].includes(video.sensitivityStatus) && (
                         <button
                           onClick={() => handleOverrideSafety(video._id)}
                           className="text-green-600 hover:text-green-700 p-1"
@@ -480,11 +577,17 @@ const VideoLibrary = () => {
                         Rejected: {video.rejectionReason}
                       </div>
                     )}
+                    {video.processingStatus === 'cancelled' && (
+                      <div className="text-gray-600 font-medium bg-gray-50 p-2 rounded mt-2 border border-gray-100">
+                        Processing was cancelled
+                      </div>
+                    )}
                     {video.processingStatus === 'failed' && video.processingError && (
                       <div className="text-red-600 font-medium bg-red-50 p-2 rounded mt-2 border border-red-100">
-                        {video.processingError.includes('GoogleGenerativeAI') || video.processingError.includes('quota') 
-                          ? 'Content analysis temporarily unavailable - video marked as safe'
-                          : `Error: ${video.processingError}`}
+                        Error: {video.processingError}
+                        {user?.role === 'admin' && video.technicalError && (
+                          <div className="text-red-500 font-normal font-mono break-all mt-1">{video.technicalError}</div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -495,6 +598,10 @@ const VideoLibrary = () => {
         </div>
       )}
 
+      {reportVideoId && (
+        <ModerationReportModal videoId={reportVideoId} onClose={() => setReportVideoId(null)} />
+      )}
+
       {/* Pagination */}
       {pagination.pages > 1 && (
         <div className="card">
@@ -1,8 +1,12 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import toast from 'react-hot-toast';
+import Hls from 'hls.js';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
+import ClipEditor from '../components/ClipEditor';
+import VideoVersions from '../components/VideoVersions';
 import { 
   ArrowLeft, 
   Play, 
@@ -15,7 +19,8 @@ import {
   Tag,
   AlertTriangle,
   CheckCircle,
-  X
+  X,
+  Ban
 } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD 
@@ -37,6 +42,9 @@ const VideoPlayer = () => {
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(1);
+  const [adaptiveFailed, setAdaptiveFailed] = useState(false);
+
+  const useAdaptive = video?.hls?.status === 'ready' && !adaptiveFailed;
 
   useEffect(() => {
     fetchVideo();
@@ -52,6 +60,39 @@ const VideoPlayer = () => {
     }
   }, [videoProgress, id]);
 
+  // Attach the HLS ladder when one exists; any fatal error drops back to the
+  // progressive stream by re-rendering the <video> with a plain <source>
+  useEffect(() => {
+    const element = videoRef.current;
+    if (!element || !useAdaptive) return;
+
+    const masterUrl = `${API_URL}/api/videos/${id}/hls/master.m3u8?token=${token}`;
+
+    if (Hls.isSupported()) {
+      const hls = new Hls();
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) {
+          console.error('Adaptive stream failed, falling back to progressive:', data);
+          hls.destroy();
+          setAdaptiveFailed(true);
+        }
+      });
+      hls.loadSource(masterUrl);
+      hls.attachMedia(element);
+      return () => hls.destroy();
+    }
+
+    if (element.canPlayType('application/vnd.apple.mpegurl')) {
+      element.src = masterUrl;
+      return () => {
+        element.removeAttribute('src');
+        element.load();
+      };
+    }
+
+    setAdaptiveFailed(true);
+  }, [useAdaptive, id, token]);
+
   const fetchVideo = async () => {
     try {
       const response = await axios.get(`${API_URL}/api/videos/${id}`);
@@ -61,10 +102,16 @@ const VideoPlayer = () => {
       // Clear error initially if we are re-fetching
       setError(null);
 
-      if (videoData.processingStatus !== 'completed') {
+      if (videoData.processingStatus === 'failed') {
+        setError('Video processing failed. Retry it from the video library.');
+      } else if (videoData.processingStatus === 'cancelled') {
+        setError('Processing was cancelled for this video.');
+      } else if (videoData.processingStatus !== 'completed') {
         setError('Video is still processing. Please try again later.');
       } else if (videoData.sensitivityStatus === 'flagged' && user?.role === 'viewer') {
         setError('This video has been flagged as unsafe and cannot be watched.');
+      } else if (videoData.sensitivityStatus === 'review' && user?.role === 'viewer') {
+        setError('This video is awaiting content review.');
       }
     } catch (error) {
       console.error('Failed to fetch video:', error);
@@ -92,6 +139,20 @@ const VideoPlayer = () => {
     }
   };
 
+  // Admins can block a video's content without rejecting the video itself
+  const handleBlockContent = async () => {
+    const reason = prompt('Why should this content be blocked?');
+    if (!reason?.trim()) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/api/admin/blocklist`, { videoId: id, reason });
+      toast.success(response.data.msg);
+    } catch (error) {
+      console.error('Failed to block content:', error);
+      toast.error(error.response?.data?.msg || 'Failed to block content');
+    }
+  };
+
   const handleTimeUpdate = () => {
     if (videoRef.current) {
       setCurrentTime(videoRef.current.currentTime);
@@ -138,6 +199,11 @@ const VideoPlayer = () => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  const formatBitrate = (bitsPerSecond) => {
+    if (bitsPerSecond >= 1000000) return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+    return `${Math.round(bitsPerSecond / 1000)} kbps`;
+  };
+
   const formatFileSize = (bytes) => {
     if (!bytes) return 'Unknown';
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
@@ -203,23 +269,31 @@ const VideoPlayer = () => {
             ) : (
               // Show normal video player
               <video
+                key={useAdaptive ? 'adaptive' : 'progressive'}
                 ref={videoRef}
                 className="w-full aspect-video"
                 controls
                 crossOrigin="use-credentials"
+                poster={video.thumbnails?.poster ? `${API_URL}/api/videos/${id}/thumbnail?token=${token}` : undefined}
                 onTimeUpdate={handleTimeUpdate}
                 onLoadedMetadata={handleLoadedMetadata}
                 onPlay={() => setIsPlaying(true)}
                 onPause={() => setIsPlaying(false)}
                 onError={(e) => {
                   console.error('Video loading error:', e);
+                  if (useAdaptive) {
+                    setAdaptiveFailed(true);
+                    return;
+                  }
                   setError(`Failed to load video: ${e.target.error?.message || 'Unknown error'}`);
                 }}
               >
-                <source 
-                  src={`${API_URL}/api/videos/${id}/stream?token=${token}`} 
-                  type={video.mimeType || 'video/mp4'}
-                />
+                {!useAdaptive && (
+                  <source 
+                    src={`${API_URL}/api/videos/${id}/stream?token=${token}`} 
+                    type={video.mimeType || 'video/mp4'}
+                  />
+                )}
                 Your browser does not support the video tag.
               </video>
             )
@@ -235,6 +309,12 @@ const VideoPlayer = () => {
 
         </div>
       </div>
+
+      {/* Trim to a new clip (Editors and Admins) */}
+      {user?.role !== 'viewer' && video.processingStatus === 'completed' && (
+        <ClipEditor video={video} videoRef={videoRef} currentTime={currentTime} duration={duration} />
+      )}
+
       {/* Video Information */}
       <div className={`grid grid-cols-1 ${user?.role !== 'viewer' ? 'lg:grid-cols-3' : ''} gap-6`}>
         {/* Main Info */}
@@ -256,6 +336,43 @@ const VideoPlayer = () => {
                   </span>
                   <span>{video.viewCount} views</span>
                 </div>
+                {video.sourceVideo && (
+                  <button
+                    onClick={() => navigate(`/video/${video.sourceVideo}`)}
+                    className="mt-2 text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    Clipped from the original video ({formatTime(video.clip?.start || 0)}–{formatTime(video.clip?.end || 0)})
+                  </button>
+                )}
+                {user?.role !== 'viewer' && video.duplicates?.length > 0 && (
+                  <div className="mt-2 flex items-start text-sm text-yellow-700">
+                    <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span>
+                      Looks like a copy of{' '}
+                      {video.duplicates.map((duplicate, index) => (
+                        <span key={duplicate.video}>
+                          {index > 0 && ', '}
+                          <button
+                            onClick={() => navigate(`/video/${duplicate.video}`)}
+                            className="text-primary-600 hover:text-primary-700"
+                          >
+                            {duplicate.title}
+                          </button>
+                        </span>
+                      ))}
+                    </span>
+                  </div>
+                )}
+                {user?.role !== 'viewer' && video.blocklistMatch && (
+                  <div className="mt-2 flex items-start text-sm text-red-700">
+                    <Ban className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span>
+                      Matches blocked content
+                      {video.blocklistMatch.sourceTitle && ` from "${video.blocklistMatch.sourceTitle}"`}
+                      : {video.blocklistMatch.reason}
+                    </span>
+                  </div>
+                )}
               </div>
               
               {/* Content Safety Badge */}
@@ -275,6 +392,11 @@ const VideoPlayer = () => {
                       <span className="text-xs text-orange-600 bg-orange-50 px-2 py-1 rounded">(Admin Override Available)</span>
                     )}
                   </div>
+                ) : video.sensitivityStatus === 'review' ? (
+                  <div className="flex items-center px-3 py-1 bg-yellow-100 text-yellow-800 rounded-full border border-yellow-200">
+                    <AlertTriangle className="w-4 h-4 mr-1" />
+                    <span className="text-sm font-medium">Needs Review</span>
+                  </div>
                 ) : (
                   <div className="flex items-center px-3 py-1 bg-gray-100 text-gray-800 rounded-full">
                     <span className="text-sm font-medium">Analyzing...</span>
@@ -337,6 +459,39 @@ const VideoPlayer = () => {
                         <span className="font-medium">{video.metadata.quality}</span>
                       </div>
                     )}
+                    {video.metadata.codec && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Video Codec:</span>
+                        <span className="font-medium uppercase">{video.metadata.codec}</span>
+                      </div>
+                    )}
+                    {video.metadata.bitrate && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Bitrate:</span>
+                        <span className="font-medium">{formatBitrate(video.metadata.bitrate)}</span>
+                      </div>
+                    )}
+                    {video.metadata.audioCodec && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Audio:</span>
+                        <span className="font-medium">
+                          <span className="uppercase">{video.metadata.audioCodec}</span>
+                          {video.metadata.channelLayout && ` (${video.metadata.channelLayout})`}
+                        </span>
+                      </div>
+                    )}
+                    {video.metadata.container && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Container:</span>
+                        <span className="font-medium">{video.metadata.container.split(',')[0]}</span>
+                      </div>
+                    )}
+                    {video.metadata.rotation > 0 && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Rotation:</span>
+                        <span className="font-medium">{video.metadata.rotation}°</span>
+                      </div>
+                    )}
                   </>
                 )}
               </div>
@@ -359,6 +514,15 @@ const VideoPlayer = () => {
                 </div>
               </div>
             )}
+
+            <VideoVersions video={video} />
+
+            {user?.role === 'admin' && video.fingerprint?.frameHashes?.length > 0 && (
+              <button onClick={handleBlockContent} className="btn btn-secondary w-full">
+                <Ban className="w-4 h-4 mr-2" />
+                Block This Content
+              </button>
+            )}
           </div>
         )}
       </div>
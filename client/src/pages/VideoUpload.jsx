@@ -1,296 +1,411 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import axios from 'axios';
+import * as tus from 'tus-js-client';
 import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
-import { Upload, X, Video, FileVideo } from 'lucide-react';
+import { useSocket } from '../contexts/SocketContext';
+import UploadQueueItem from '../components/UploadQueueItem';
+import UrlImport from '../components/UrlImport';
+import { Upload, Video } from 'lucide-react';
 
-const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD 
-  ? 'https://video-management-system-jdkv.onrender.com' 
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD
+  ? 'https://video-management-system-jdkv.onrender.com'
   : 'http://localhost:5000');
 
+// Each chunk is its own request, so a dropped connection costs at most one chunk
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000];
+// Files uploaded side by side; the rest wait their turn
+const MAX_PARALLEL_UPLOADS = 2;
+
+const CATEGORIES = ['general', 'education', 'entertainment', 'business', 'training', 'marketing'];
+
+const DEFAULT_FIELDS = {
+  description: '',
+  category: 'general',
+  tags: '',
+  isPublic: false
+};
+
+// Server errors come back as the usual { msg } JSON body
+const getErrorBody = (error) => {
+  try {
+    return JSON.parse(error.originalResponse?.getBody());
+  } catch {
+    return null;
+  }
+};
+
+let nextItemId = 0;
+
 const VideoUpload = () => {
-  const { isEditor } = useAuth();
+  const { isEditor, token } = useAuth();
+  const { getVideoProgress } = useSocket();
   const navigate = useNavigate();
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: 'general',
-    tags: '',
-    isPublic: false
-  });
+  // Queue entries: { id, file, fields, status, progress, error, videoId,
+  // duplicates, resumeFrom, waitingForNetwork }. Status goes ready (still
+  // being edited) -> queued -> uploading -> uploaded, or failed.
+  const [items, setItems] = useState([]);
+  // Applied to files as they are added, and to waiting files with "Apply to all"
+  const [defaults, setDefaults] = useState(DEFAULT_FIELDS);
+  const [queueRunning, setQueueRunning] = useState(false);
+  const uploadsRef = useRef({});
 
-  // Redirect if user doesn't have upload permissions
-  if (!isEditor) {
-    return (
-      <div className="text-center py-12">
-        <Video className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-        <h2 className="text-xl font-semibold text-gray-900 mb-2">Access Denied</h2>
-        <p className="text-gray-600">You need editor or admin permissions to upload videos.</p>
-      </div>
-    );
-  }
+  const updateItem = useCallback((id, patch) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
 
-  const onDrop = useCallback((acceptedFiles) => {
-    const file = acceptedFiles[0];
-    if (file) {
-      setSelectedFile(file);
-      if (!formData.title) {
-        setFormData(prev => ({
-          ...prev,
-          title: file.name.replace(/\.[^/.]+$/, '') // Remove file extension
-        }));
+  const updateItemFields = (id, fields) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, fields: { ...item.fields, ...fields } } : item)));
+  };
+
+  // Leaving the page pauses uploads; adding the same files again resumes them
+  useEffect(() => () => {
+    Object.values(uploadsRef.current).forEach(upload => upload.abort());
+  }, []);
+
+  // tus-js-client remembers unfinished uploads in localStorage, keyed by the
+  // file's name, size and modification time
+  const findPreviousUpload = useCallback(async (id, file) => {
+    try {
+      const previous = await new tus.Upload(file, { endpoint: `${API_URL}/api/uploads` }).findPreviousUploads();
+      if (previous.length === 0) return;
+
+      const response = await axios.head(previous[0].uploadUrl, { headers: { 'Tus-Resumable': '1.0.0' } });
+      const offset = Number(response.headers['upload-offset']);
+      const length = Number(response.headers['upload-length']);
+      if (length > 0 && offset < length) {
+        updateItem(id, { resumeFrom: Math.round((offset * 100) / length) });
       }
+    } catch (error) {
+      // Expired or unknown uploads simply start from the beginning
+      console.error('Could not look up previous uploads:', error);
     }
-  }, [formData.title]);
+  }, [updateItem]);
+
+  const onDrop = useCallback((acceptedFiles) => {
+    const added = acceptedFiles.map(file => ({
+      id: ++nextItemId,
+      file,
+      fields: {
+        ...defaults,
+        title: file.name.replace(/\.[^/.]+$/, '') // Remove file extension
+      },
+      status: 'ready',
+      progress: 0,
+      error: null,
+      videoId: null,
+      duplicates: [],
+      resumeFrom: null,
+      waitingForNetwork: false
+    }));
+
+    setItems(prev => [...prev, ...added]);
+    added.forEach(item => findPreviousUpload(item.id, item.file));
+  }, [defaults, findPreviousUpload]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
       'video/*': ['.mp4', '.avi', '.mov', '.wmv']
-    },
-    maxFiles: 1,
-    maxSize: 100 * 1024 * 1024 // 100MB
+    }
   });
 
-  const handleInputChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
-  };
+  const finishUpload = useCallback(async (id, videoId) => {
+    delete uploadsRef.current[id];
+    updateItem(id, { status: 'uploaded', progress: 100, videoId, waitingForNetwork: false });
 
-  const removeFile = () => {
-    setSelectedFile(null);
-    setUploadProgress(0);
-  };
+    // Exact copies are known as soon as the Video exists
+    try {
+      const response = await axios.get(`${API_URL}/api/videos/${videoId}`);
+      updateItem(id, { duplicates: response.data.video.duplicates || [] });
+    } catch (error) {
+      console.error('Failed to fetch uploaded video:', error);
+    }
+  }, [updateItem]);
+
+  const failUpload = useCallback((id, error) => {
+    delete uploadsRef.current[id];
+    const body = getErrorBody(error);
+    updateItem(id, {
+      status: 'failed',
+      error: body?.msg || error.message || 'Upload failed',
+      duplicates: body?.duplicates || [],
+      waitingForNetwork: false
+    });
+  }, [updateItem]);
+
+  // Changes only with the token, so the queue effect does not restart uploads
+  const startUpload = useCallback((item) => {
+    const { id, file, fields } = item;
+    let videoId = null;
+
+    updateItem(id, { status: 'uploading', progress: 0, error: null, duplicates: [] });
+
+    const tags = fields.tags
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag.length > 0);
+
+    const upload = new tus.Upload(file, {
+      endpoint: `${API_URL}/api/uploads`,
+      chunkSize: CHUNK_SIZE,
+      retryDelays: RETRY_DELAYS,
+      removeFingerprintOnSuccess: true,
+      headers: { Authorization: `Bearer ${token}` },
+      metadata: {
+        filename: file.name,
+        filetype: file.type,
+        title: fields.title.trim(),
+        description: fields.description.trim(),
+        category: fields.category,
+        isPublic: String(fields.isPublic),
+        tags: JSON.stringify(tags)
+      },
+      onProgress: (bytesUploaded, bytesTotal) => {
+        updateItem(id, { progress: Math.round((bytesUploaded * 100) / bytesTotal) });
+      },
+      onAfterResponse: (req, res) => {
+        videoId = res.getHeader('Upload-Video-Id') || videoId;
+      },
+      onSuccess: () => finishUpload(id, videoId),
+      onError: (error) => {
+        // Retries are skipped while offline; carry on once the network is back
+        if (!navigator.onLine) {
+          updateItem(id, { waitingForNetwork: true });
+          window.addEventListener('online', () => {
+            // Unless it was cancelled in the meantime
+            if (uploadsRef.current[id] !== upload) return;
+            updateItem(id, { waitingForNetwork: false });
+            upload.start();
+          }, { once: true });
+          return;
+        }
+        failUpload(id, error);
+      }
+    });
+    uploadsRef.current[id] = upload;
+
+    upload.findPreviousUploads()
+      .then((previous) => {
+        if (previous.length > 0) {
+          upload.resumeFromPreviousUpload(previous[0]);
+        }
+        upload.start();
+      })
+      .catch(error => failUpload(id, error));
+  }, [token, updateItem, finishUpload, failUpload]);
+
+  // Keeps up to MAX_PARALLEL_UPLOADS files uploading until none are waiting
+  useEffect(() => {
+    if (!queueRunning) return;
+
+    const active = items.filter(item => item.status === 'uploading').length;
+    const waiting = items.filter(item => item.status === 'queued');
 
-  const handleSubmit = async (e) => {
+    if (active === 0 && waiting.length === 0) {
+      setQueueRunning(false);
+      const failed = items.filter(item => item.status === 'failed').length;
+      if (failed > 0) {
+        toast.error(`${failed} upload(s) failed; use Retry to send them again`);
+      } else {
+        toast.success('All videos uploaded! Processing status is shown below.');
+      }
+      return;
+    }
+
+    waiting.slice(0, Math.max(0, MAX_PARALLEL_UPLOADS - active)).forEach(startUpload);
+  }, [items, queueRunning, startUpload]);
+
+  const handleUploadAll = (e) => {
     e.preventDefault();
-    
-    if (!selectedFile) {
-      toast.error('Please select a video file');
+
+    const ready = items.filter(item => item.status === 'ready');
+    if (ready.length === 0) {
+      toast.error('Please add at least one video file');
       return;
     }
 
-    if (!formData.title.trim()) {
-      toast.error('Please enter a video title');
+    if (ready.some(item => !item.fields.title.trim())) {
+      toast.error('Every video needs a title');
       return;
     }
 
-    setUploading(true);
-    setUploadProgress(0);
+    setItems(prev => prev.map(item => (item.status === 'ready' ? { ...item, status: 'queued' } : item)));
+    setQueueRunning(true);
+  };
 
-    try {
-      const uploadData = new FormData();
-      uploadData.append('video', selectedFile);
-      uploadData.append('title', formData.title.trim());
-      uploadData.append('description', formData.description.trim());
-      uploadData.append('category', formData.category);
-      uploadData.append('isPublic', formData.isPublic);
-      
-      // Process tags
-      const tags = formData.tags
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.length > 0);
-      
-      if (tags.length > 0) {
-        uploadData.append('tags', JSON.stringify(tags));
-      }
+  const handleRetry = (id) => {
+    const item = items.find(entry => entry.id === id);
+    if (!item.fields.title.trim()) {
+      toast.error('Every video needs a title');
+      return;
+    }
 
-      const response = await axios.post(`${API_URL}/api/videos/upload`, uploadData, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        },
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadProgress(progress);
-        }
-      });
+    updateItem(id, { status: 'queued', error: null });
+    setQueueRunning(true);
+  };
+
+  // Terminates the upload on the server so its partial file is freed
+  const handleCancel = async (id) => {
+    const upload = uploadsRef.current[id];
+    delete uploadsRef.current[id];
+    setItems(prev => prev.filter(item => item.id !== id));
 
-      toast.success('Video uploaded successfully! Processing will begin shortly.');
-      navigate('/videos');
+    try {
+      await upload?.abort(true);
     } catch (error) {
-      console.error('Upload error:', error);
-      const message = error.response?.data?.message || 'Upload failed';
-      toast.error(message);
-    } finally {
-      setUploading(false);
-      setUploadProgress(0);
+      console.error('Failed to terminate upload:', error);
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  const handleRemove = (id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const handleDefaultsChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setDefaults(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Titles stay per file; everything else is overwritten on files that have
+  // not been sent yet
+  const applyDefaultsToAll = () => {
+    setItems(prev => prev.map(item => (
+      item.status === 'ready' || item.status === 'failed'
+        ? { ...item, fields: { ...item.fields, ...defaults } }
+        : item
+    )));
+  };
+
+  const clearFinished = () => {
+    setItems(prev => prev.filter(item => item.status !== 'uploaded'));
   };
 
+  // Redirect if user doesn't have upload permissions
+  if (!isEditor) {
+    return (
+      <div className="text-center py-12">
+        <Video className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Access Denied</h2>
+        <p className="text-gray-600">You need editor or admin permissions to upload videos.</p>
+      </div>
+    );
+  }
+
+  const waitingCount = items.filter(item => item.status === 'ready').length;
+  const uploadedCount = items.filter(item => item.status === 'uploaded').length;
+
   return (
     <div className="max-w-4xl mx-auto space-y-8">
       {/* Header */}
       <div>
-        <h1 className="text-3xl font-bold text-gray-900">Upload Video</h1>
+        <h1 className="text-3xl font-bold text-gray-900">Upload Videos</h1>
         <p className="mt-2 text-gray-600">
-          Upload a new video for processing and content analysis.
+          Upload one or more videos for processing and content analysis.
         </p>
       </div>
 
-      <form onSubmit={handleSubmit} className="space-y-8">
+      <form onSubmit={handleUploadAll} className="space-y-8">
         {/* File Upload */}
         <div className="card">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Select Video File</h2>
-          
-          {!selectedFile ? (
-            <div
-              {...getRootProps()}
-              className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
-                isDragActive
-                  ? 'border-primary-500 bg-primary-50'
-                  : 'border-gray-300 hover:border-gray-400'
-              }`}
-            >
-              <input {...getInputProps()} />
-              <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-              {isDragActive ? (
-                <p className="text-lg text-primary-600">Drop the video file here...</p>
-              ) : (
-                <div>
-                  <p className="text-lg text-gray-600 mb-2">
-                    Drag and drop a video file here, or click to select
-                  </p>
-                  <p className="text-sm text-gray-500">
-                    Supports MP4, AVI, MOV, WMV (max 100MB)
-                  </p>
-                </div>
-              )}
-            </div>
-          ) : (
-            <div className="border border-gray-200 rounded-lg p-4">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-3">
-                  <FileVideo className="w-8 h-8 text-primary-600" />
-                  <div>
-                    <p className="font-medium text-gray-900">{selectedFile.name}</p>
-                    <p className="text-sm text-gray-500">{formatFileSize(selectedFile.size)}</p>
-                  </div>
-                </div>
-                <button
-                  type="button"
-                  onClick={removeFile}
-                  className="p-1 text-gray-400 hover:text-gray-600"
-                  disabled={uploading}
-                >
-                  <X className="w-5 h-5" />
-                </button>
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Select Video Files</h2>
+
+          <div
+            {...getRootProps()}
+            className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+              isDragActive
+                ? 'border-primary-500 bg-primary-50'
+                : 'border-gray-300 hover:border-gray-400'
+            }`}
+          >
+            <input {...getInputProps()} />
+            <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            {isDragActive ? (
+              <p className="text-lg text-primary-600">Drop the video files here...</p>
+            ) : (
+              <div>
+                <p className="text-lg text-gray-600 mb-2">
+                  Drag and drop video files here, or click to select
+                </p>
+                <p className="text-sm text-gray-500">
+                  Supports MP4, AVI, MOV, WMV. Large files are sent in resumable chunks.
+                </p>
               </div>
-              
-              {uploading && (
-                <div className="mt-4">
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="text-sm text-gray-600">Uploading...</span>
-                    <span className="text-sm text-gray-600">{uploadProgress}%</span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div
-                      className="bg-primary-600 h-2 rounded-full transition-all duration-300"
-                      style={{ width: `${uploadProgress}%` }}
-                    ></div>
-                  </div>
-                </div>
-              )}
-            </div>
-          )}
+            )}
+          </div>
         </div>
 
-        {/* Video Metadata */}
+        <UrlImport defaults={defaults} />
+
+        {/* Defaults */}
         <div className="card">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Video Information</h2>
-          
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="title" className="block text-sm font-medium text-gray-700">
-                Title *
-              </label>
-              <input
-                type="text"
-                id="title"
-                name="title"
-                required
-                className="input mt-1"
-                placeholder="Enter video title"
-                value={formData.title}
-                onChange={handleInputChange}
-                disabled={uploading}
-              />
-            </div>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Defaults</h2>
+            <button
+              type="button"
+              onClick={applyDefaultsToAll}
+              className="btn btn-secondary text-sm"
+              disabled={items.length === 0}
+            >
+              Apply to All
+            </button>
+          </div>
+          <p className="text-sm text-gray-500 mb-4">
+            New files start with these values. Apply to All copies them to every file that has not been uploaded yet; titles are kept.
+          </p>
 
-            <div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
               <label htmlFor="description" className="block text-sm font-medium text-gray-700">
                 Description
               </label>
               <textarea
                 id="description"
                 name="description"
-                rows={4}
+                rows={2}
                 className="input mt-1"
                 placeholder="Enter video description"
-                value={formData.description}
-                onChange={handleInputChange}
-                disabled={uploading}
+                value={defaults.description}
+                onChange={handleDefaultsChange}
               />
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label htmlFor="category" className="block text-sm font-medium text-gray-700">
-                  Category
-                </label>
-                <select
-                  id="category"
-                  name="category"
-                  className="input mt-1"
-                  value={formData.category}
-                  onChange={handleInputChange}
-                  disabled={uploading}
-                >
-                  <option value="general">General</option>
-                  <option value="education">Education</option>
-                  <option value="entertainment">Entertainment</option>
-                  <option value="business">Business</option>
-                  <option value="training">Training</option>
-                  <option value="marketing">Marketing</option>
-                </select>
-              </div>
+            <div>
+              <label htmlFor="category" className="block text-sm font-medium text-gray-700">
+                Category
+              </label>
+              <select
+                id="category"
+                name="category"
+                className="input mt-1"
+                value={defaults.category}
+                onChange={handleDefaultsChange}
+              >
+                {CATEGORIES.map((category) => (
+                  <option key={category} value={category} className="capitalize">{category}</option>
+                ))}
+              </select>
+            </div>
 
-              <div>
-                <label htmlFor="tags" className="block text-sm font-medium text-gray-700">
-                  Tags
-                </label>
-                <input
-                  type="text"
-                  id="tags"
-                  name="tags"
-                  className="input mt-1"
-                  placeholder="Enter tags separated by commas"
-                  value={formData.tags}
-                  onChange={handleInputChange}
-                  disabled={uploading}
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Separate multiple tags with commas
-                </p>
-              </div>
+            <div>
+              <label htmlFor="tags" className="block text-sm font-medium text-gray-700">
+                Tags
+              </label>
+              <input
+                type="text"
+                id="tags"
+                name="tags"
+                className="input mt-1"
+                placeholder="Enter tags separated by commas"
+                value={defaults.tags}
+                onChange={handleDefaultsChange}
+              />
             </div>
 
             <div className="flex items-center">
@@ -299,33 +414,59 @@ const VideoUpload = () => {
                 id="isPublic"
                 name="isPublic"
                 className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                checked={formData.isPublic}
-                onChange={handleInputChange}
-                disabled={uploading}
+                checked={defaults.isPublic}
+                onChange={handleDefaultsChange}
               />
               <label htmlFor="isPublic" className="ml-2 block text-sm text-gray-700">
-                Make this video public (visible to all users in organization)
+                Make videos public (visible to all users in organization)
               </label>
             </div>
           </div>
         </div>
 
+        {/* Queue */}
+        {items.length > 0 && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Files ({items.length})</h2>
+              {uploadedCount > 0 && (
+                <button type="button" onClick={clearFinished} className="text-sm text-primary-600 hover:underline">
+                  Clear uploaded
+                </button>
+              )}
+            </div>
+            <div className="space-y-4">
+              {items.map((item) => (
+                <UploadQueueItem
+                  key={item.id}
+                  item={item}
+                  categories={CATEGORIES}
+                  progress={item.videoId ? getVideoProgress(item.videoId) : null}
+                  onChange={(fields) => updateItemFields(item.id, fields)}
+                  onRemove={() => handleRemove(item.id)}
+                  onRetry={() => handleRetry(item.id)}
+                  onCancel={() => handleCancel(item.id)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Submit Button */}
         <div className="flex justify-end space-x-4">
           <button
             type="button"
             onClick={() => navigate('/videos')}
             className="btn btn-secondary"
-            disabled={uploading}
           >
-            Cancel
+            {uploadedCount > 0 ? 'Go to Library' : 'Cancel'}
           </button>
           <button
             type="submit"
             className="btn btn-primary"
-            disabled={!selectedFile || uploading || !formData.title.trim()}
+            disabled={waitingCount === 0 || queueRunning}
           >
-            {uploading ? 'Uploading...' : 'Upload Video'}
+            {queueRunning ? 'Uploading...' : `Upload ${waitingCount > 0 ? `${waitingCount} ` : ''}Video${waitingCount === 1 ? '' : 's'}`}
           </button>
         </div>
       </form>
@@ -333,4 +474,4 @@ const VideoUpload = () => {
   );
 };
 
-export default VideoUpload;
\ No newline at end of file
+export default VideoUpload;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import BlockedContent from '../models/BlockedContent.js';
+import { blockVideoContent } from '../services/blocklist.js';
+
+export const getBlocklistController = async (req, res) => {
+  try {
+    const entries = await BlockedContent.find({})
+      .populate('addedBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Hash lists are only needed for matching; the UI just shows how many
+    res.json({
+      entries: entries.map(({ hashes, ...entry }) => ({ ...entry, hashCount: hashes.length }))
+    });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to fetch blocklist' });
+  }
+};
+
+// Blocks the content of an existing, already fingerprinted video without rejecting it
+export const addToBlocklistController = async (req, res) => {
+  try {
+    const { videoId, reason } = req.body;
+
+    if (!reason?.trim()) {
+      return res.status(400).json({ msg: 'A reason is required' });
+    }
+
+    if (!mongoose.isValidObjectId(videoId)) {
+      return res.status(400).json({ msg: 'A valid videoId is required' });
+    }
+
+    const video = await Video.findById(videoId);
+    if (!video) {
+      return res.status(404).json({ msg: 'Video not found' });
+    }
+
+    const entry = await blockVideoContent(video, {
+      reason: reason.trim(),
+      origin: 'manual',
+      addedBy: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(400).json({ msg: 'This video has no frame fingerprints yet; wait for processing to finish' });
+    }
+
+    res.status(201).json({ msg: `Added ${entry.hashes.length} frame hashes to the blocklist`, entryId: entry._id });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to add to blocklist' });
+  }
+};
+
+// Videos already flagged by this entry stay flagged; only future uploads are affected
+export const deleteBlocklistEntryController = async (req, res) => {
+  try {
+    const entry = await BlockedContent.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Blocklist entry not found' });
+    }
+
+    res.json({ msg: 'Blocklist entry removed' });
+  } catch (error) {
+    res.status(500).json({ msg: 'Delete failed' });
+  }
+};
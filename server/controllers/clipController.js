@@ -0,0 +1,80 @@
+import Video from '../models/Video.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { checkVideoAccess } from '../utils/videoAccess.js';
+
+const MIN_CLIP_SECONDS = 1;
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Creates a new Video for [start, end) of a processed source video. The file
+// is cut by a 'createClip' job, which then queues the normal processing
+// pipeline for the clip.
+export const createClipController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title } = req.body;
+    const start = Number(req.body.start);
+    let end = Number(req.body.end);
+
+    const source = await Video.findById(id);
+    if (!source) {
+      return res.status(404).json({ msg: 'Video not found' });
+    }
+
+    const denied = checkVideoAccess(source, req.user);
+    if (denied) {
+      const { status, ...body } = denied;
+      return res.status(status).json(body);
+    }
+
+    if (source.processingStatus !== 'completed') {
+      return res.status(400).json({ msg: 'Only processed videos can be clipped' });
+    }
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      return res.status(400).json({ msg: 'Clip needs a start time before its end time' });
+    }
+
+    if (source.duration) {
+      if (start >= source.duration) {
+        return res.status(400).json({ msg: 'Clip starts after the end of the video' });
+      }
+      end = Math.min(end, source.duration);
+    }
+
+    if (end - start < MIN_CLIP_SECONDS) {
+      return res.status(400).json({ msg: `Clips must be at least ${MIN_CLIP_SECONDS} second long` });
+    }
+
+    const filename = `clip-${Date.now()}-${Math.round(Math.random() * 1E9)}.mp4`;
+
+    const clip = new Video({
+      title: title?.trim() || `${source.title} (${formatTimestamp(start)}–${formatTimestamp(end)})`,
+      description: source.description,
+      filename,
+      originalName: filename,
+      storageKey: filename,
+      fileSize: 0,
+      mimeType: 'video/mp4',
+      uploadedBy: req.user._id,
+      tags: source.tags,
+      category: source.category,
+      isPublic: source.isPublic,
+      duration: end - start,
+      sourceVideo: source._id,
+      clip: { start, end }
+    });
+
+    await clip.save();
+    await enqueueJob('createClip', { videoId: String(clip._id) });
+
+    res.status(201).json({ msg: 'Clip queued for processing', video: clip });
+  } catch (error) {
+    console.error('Create clip error:', error);
+    res.status(500).json({ msg: 'Failed to create clip' });
+  }
+};
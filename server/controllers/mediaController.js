@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import Video from '../models/Video.js';
+import { checkVideoAccess } from '../utils/videoAccess.js';
+import { getMediaDir } from '../utils/mediaPaths.js';
+import { buildStoryboardVtt } from '../services/thumbnailGenerator.js';
+
+// Loads the video and applies the same access rules as the stream route.
+// Sends the error response itself and returns null when access is denied.
+const findAccessibleVideo = async (req, res) => {
+  const video = await Video.findById(req.params.id);
+  if (!video) {
+    res.status(404).json({ msg: 'Video not found' });
+    return null;
+  }
+
+  const denied = checkVideoAccess(video, req.user);
+  if (denied) {
+    const { status, ...body } = denied;
+    res.status(status).json(body);
+    return null;
+  }
+
+  return video;
+};
+
+const sendMediaFile = (res, video, filename, contentType) => {
+  const filePath = path.join(getMediaDir(video._id), filename);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ msg: 'Media not found' });
+  }
+
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'private, max-age=3600',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  fs.createReadStream(filePath).pipe(res);
+};
+
+export const getThumbnailController = async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    if (!video.thumbnails?.poster) {
+      return res.status(404).json({ msg: 'Thumbnail not available yet' });
+    }
+
+    sendMediaFile(res, video, video.thumbnails.poster, 'image/jpeg');
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to load thumbnail' });
+  }
+};
+
+export const getStoryboardImageController = async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    if (!video.thumbnails?.storyboard?.image) {
+      return res.status(404).json({ msg: 'Storyboard not available yet' });
+    }
+
+    sendMediaFile(res, video, video.thumbnails.storyboard.image, 'image/jpeg');
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to load storyboard' });
+  }
+};
+
+// sendFile rather than a plain stream: Safari will only play <video> sources
+// that answer range requests
+export const getPreviewController = async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    const filePath = video.thumbnails?.preview && path.join(getMediaDir(video._id), video.thumbnails.preview);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ msg: 'Preview not available yet' });
+    }
+
+    res.sendFile(filePath, {
+      headers: {
+        'Cache-Control': 'private, max-age=3600',
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to load preview' });
+  }
+};
+
+export const getStoryboardVttController = async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    const storyboard = video.thumbnails?.storyboard;
+    if (!storyboard?.image) {
+      return res.status(404).json({ msg: 'Storyboard not available yet' });
+    }
+
+    // Cue URLs resolve relative to this file; carry the query token along so
+    // players that cannot send an Authorization header can still fetch the sprite
+    const { token } = req.query;
+    const imageUrl = token ? `storyboard.jpg?token=${encodeURIComponent(token)}` : 'storyboard.jpg';
+
+    res.set({
+      'Content-Type': 'text/vtt; charset=utf-8',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(buildStoryboardVtt(storyboard, video.duration, imageUrl));
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to build storyboard' });
+  }
+};
+
+const RENDITION_PATTERN = /^\d+p$/;
+const HLS_FILE_PATTERN = /^(index\.m3u8|segment-\d+\.ts)$/;
+
+// Relative URIs in a playlist lose the query string, so players relying on
+// ?token= auth (native HLS in Safari) need it appended to every entry
+const withToken = (playlist, token) => {
+  if (!token) return playlist;
+  const suffix = `?token=${encodeURIComponent(token)}`;
+  return playlist
+    .split('\n')
+    .map(line => (line && !line.startsWith('#') ? `${line}${suffix}` : line))
+    .join('\n');
+};
+
+const sendHlsFile = (req, res, video, relativePath) => {
+  const filePath = path.join(getMediaDir(video._id), 'hls', relativePath);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ msg: 'Playlist not found' });
+  }
+
+  res.set({
+    'Cache-Control': 'private, max-age=3600',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  if (filePath.endsWith('.m3u8')) {
+    res.type('application/vnd.apple.mpegurl');
+    return res.send(withToken(fs.readFileSync(filePath, 'utf8'), req.query.token));
+  }
+
+  res.type('video/mp2t');
+  fs.createReadStream(filePath).pipe(res);
+};
+
+// Same checks as the progressive stream route, plus a finished ladder
+const findStreamableVideo = async (req, res) => {
+  const video = await findAccessibleVideo(req, res);
+  if (!video) return null;
+
+  if (video.processingStatus !== 'completed') {
+    res.status(400).json({ msg: 'Video is still processing' });
+    return null;
+  }
+
+  if (video.hls?.status !== 'ready') {
+    res.status(404).json({ msg: 'Adaptive stream not available' });
+    return null;
+  }
+
+  return video;
+};
+
+export const getHlsMasterController = async (req, res) => {
+  try {
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    sendHlsFile(req, res, video, 'master.m3u8');
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to load playlist' });
+  }
+};
+
+export const getHlsFileController = async (req, res) => {
+  try {
+    const { rendition, file } = req.params;
+    if (!RENDITION_PATTERN.test(rendition) || !HLS_FILE_PATTERN.test(file)) {
+      return res.status(400).json({ msg: 'Invalid playlist path' });
+    }
+
+    const video = await findStreamableVideo(req, res);
+    if (!video) return;
+
+    sendHlsFile(req, res, video, path.join(rendition, file));
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to load playlist' });
+  }
+};
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import ModerationReport from '../models/ModerationReport.js';
+import { getEvidenceDir } from '../services/moderation/reportStore.js';
+
+const FRAME_PATTERN = /^frame-\d+\.jpg$/;
+
+export const getModerationReportController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ msg: 'Invalid video id' });
+    }
+
+    const video = await Video.findById(id).select('title sensitivityStatus sensitivityScore moderation');
+    if (!video) {
+      return res.status(404).json({ msg: 'Video not found' });
+    }
+
+    const report = await ModerationReport.findOne({ video: id });
+    if (!report) {
+      return res.status(404).json({ msg: 'No moderation report for this video yet' });
+    }
+
+    res.json({ video, report });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to fetch moderation report' });
+  }
+};
+
+export const getModerationFrameController = async (req, res) => {
+  try {
+    const { id, frame } = req.params;
+
+    // The id becomes part of the evidence path
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ msg: 'Invalid video id' });
+    }
+    if (!FRAME_PATTERN.test(frame)) {
+      return res.status(400).json({ msg: 'Invalid frame name' });
+    }
+
+    const filePath = path.join(getEvidenceDir(id), frame);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ msg: 'Frame not found' });
+    }
+
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'private, no-store',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    fs.createReadStream(filePath).pipe(res);
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to load frame' });
+  }
+};
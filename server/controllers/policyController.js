@@ -0,0 +1,133 @@
+import SamplingPolicy from '../models/SamplingPolicy.js';
+import ModerationPolicy from '../models/ModerationPolicy.js';
+import { DEFAULT_SAMPLING_POLICY } from '../services/frameSampler.js';
+import { DEFAULT_MODERATION_POLICY, MODERATION_ACTIONS } from '../services/moderation/policy.js';
+import { MODERATION_CATEGORIES } from '../services/moderation/categories.js';
+
+export const getSamplingPoliciesController = async (req, res) => {
+  try {
+    const policies = await SamplingPolicy.find({}).sort({ category: 1 });
+    res.json({ policies, defaults: DEFAULT_SAMPLING_POLICY });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to fetch sampling policies' });
+  }
+};
+
+export const updateSamplingPolicyController = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { minSamples, maxSamples, samplesPerMinute, sceneDetection, sceneThreshold } = req.body;
+
+    const min = parseInt(minSamples);
+    const max = parseInt(maxSamples);
+    const perMinute = parseFloat(samplesPerMinute);
+    const threshold = parseFloat(sceneThreshold);
+
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > 500) {
+      return res.status(400).json({ msg: 'Sample counts must satisfy 1 <= minSamples <= maxSamples <= 500' });
+    }
+    if (!Number.isFinite(perMinute) || perMinute < 0) {
+      return res.status(400).json({ msg: 'samplesPerMinute must be a non-negative number' });
+    }
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 1) {
+      return res.status(400).json({ msg: 'sceneThreshold must be between 0 and 1' });
+    }
+
+    const policy = await SamplingPolicy.findOneAndUpdate(
+      { category },
+      {
+        category,
+        minSamples: min,
+        maxSamples: max,
+        samplesPerMinute: perMinute,
+        sceneDetection: sceneDetection !== false,
+        sceneThreshold: threshold,
+        updatedBy: req.user._id
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ msg: 'Sampling policy updated successfully', policy });
+  } catch (error) {
+    res.status(500).json({ msg: 'Update failed' });
+  }
+};
+
+export const deleteSamplingPolicyController = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const policy = await SamplingPolicy.findOneAndDelete({ category });
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'Sampling policy not found' });
+    }
+
+    res.json({ msg: 'Sampling policy removed; category now uses the default policy' });
+  } catch (error) {
+    res.status(500).json({ msg: 'Delete failed' });
+  }
+};
+
+export const getModerationPoliciesController = async (req, res) => {
+  try {
+    const policies = await ModerationPolicy.find({}).sort({ category: 1 });
+    res.json({ policies, defaults: DEFAULT_MODERATION_POLICY, classes: MODERATION_CATEGORIES, actions: MODERATION_ACTIONS });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to fetch moderation policies' });
+  }
+};
+
+export const updateModerationPolicyController = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { classes, flagThreshold, minFlaggedFrames, action } = req.body;
+
+    const threshold = parseFloat(flagThreshold);
+    const minFrames = parseInt(minFlaggedFrames);
+
+    if (!Array.isArray(classes) || classes.some(name => !MODERATION_CATEGORIES.includes(name))) {
+      return res.status(400).json({ msg: `classes must be a list drawn from: ${MODERATION_CATEGORIES.join(', ')}` });
+    }
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ msg: 'flagThreshold must be between 0 and 1' });
+    }
+    if (!Number.isInteger(minFrames) || minFrames < 1) {
+      return res.status(400).json({ msg: 'minFlaggedFrames must be at least 1' });
+    }
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ msg: `action must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+    }
+
+    const policy = await ModerationPolicy.findOneAndUpdate(
+      { category },
+      {
+        category,
+        classes,
+        flagThreshold: threshold,
+        minFlaggedFrames: minFrames,
+        action,
+        updatedBy: req.user._id
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ msg: 'Moderation policy updated successfully', policy });
+  } catch (error) {
+    res.status(500).json({ msg: 'Update failed' });
+  }
+};
+
+export const deleteModerationPolicyController = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const policy = await ModerationPolicy.findOneAndDelete({ category });
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'Moderation policy not found' });
+    }
+
+    res.json({ msg: 'Moderation policy removed; category now uses the default policy' });
+  } catch (error) {
+    res.status(500).json({ msg: 'Delete failed' });
+  }
+};
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import OrganizationQuota from '../models/OrganizationQuota.js';
+import { getQuotaStatus, measureUsage, parseQuotaLimits, QUOTA_FIELDS } from '../services/quota.js';
+
+// Turns { field: value|null } into $set/$unset on prefix.field
+const toQuotaUpdate = (limits, prefix = '') => {
+  const update = { $set: {}, $unset: {} };
+  for (const [field, value] of Object.entries(limits)) {
+    if (value === null) {
+      update.$unset[`${prefix}${field}`] = 1;
+    } else {
+      update.$set[`${prefix}${field}`] = value;
+    }
+  }
+  return update;
+};
+
+export const getMyQuotaController = async (req, res) => {
+  try {
+    res.json({ quota: await getQuotaStatus(req.user._id) });
+  } catch (error) {
+    console.error('Get quota error:', error);
+    res.status(500).json({ msg: 'Failed to fetch quota' });
+  }
+};
+
+export const getUserQuotaController = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const quota = await getQuotaStatus(req.params.id);
+    if (!quota) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({ quota });
+  } catch (error) {
+    console.error('Get user quota error:', error);
+    res.status(500).json({ msg: 'Failed to fetch quota' });
+  }
+};
+
+// Empty or null fields remove that limit
+export const updateUserQuotaController = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const { limits, error } = parseQuotaLimits(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      toQuotaUpdate(limits, 'quota.'),
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    console.log(`📏 Quota for ${user.username} updated by ${req.user.username}`);
+    res.json({ msg: 'Quota updated', user, quota: await getQuotaStatus(user._id) });
+  } catch (error) {
+    console.error('Update user quota error:', error);
+    res.status(500).json({ msg: 'Failed to update quota' });
+  }
+};
+
+// Every organization users belong to, with its limits and combined usage
+export const getOrganizationQuotasController = async (req, res) => {
+  try {
+    const [users, quotas] = await Promise.all([
+      User.find({ organization: { $nin: [null, ''] } }).select('_id organization').lean(),
+      OrganizationQuota.find({}).lean()
+    ]);
+
+    const members = new Map();
+    for (const user of users) {
+      members.set(user.organization, [...(members.get(user.organization) || []), user._id]);
+    }
+    const quotasByName = new Map(quotas.map(quota => [quota.organization, quota]));
+
+    const organizations = await Promise.all([...members.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(async ([name, userIds]) => ({
+        name,
+        members: userIds.length,
+        limits: Object.fromEntries(QUOTA_FIELDS.map(field => [field, quotasByName.get(name)?.[field] ?? null])),
+        usage: await measureUsage(userIds)
+      })));
+
+    res.json({ organizations });
+  } catch (error) {
+    console.error('Get organization quotas error:', error);
+    res.status(500).json({ msg: 'Failed to fetch organization quotas' });
+  }
+};
+
+export const updateOrganizationQuotaController = async (req, res) => {
+  try {
+    const { organization } = req.params;
+    const { limits, error } = parseQuotaLimits(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const update = toQuotaUpdate(limits);
+    update.$set.updatedBy = req.user._id;
+
+    const quota = await OrganizationQuota.findOneAndUpdate(
+      { organization },
+      update,
+      { new: true, upsert: true }
+    );
+
+    console.log(`📏 Quota for organization ${organization} updated by ${req.user.username}`);
+    res.json({ msg: `Quota for ${organization} updated`, quota });
+  } catch (error) {
+    console.error('Update organization quota error:', error);
+    res.status(500).json({ msg: 'Failed to update organization quota' });
+  }
+};
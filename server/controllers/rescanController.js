@@ -0,0 +1,74 @@
+import RescanRun from '../models/RescanRun.js';
+import { countRescanCandidates, startRescan } from '../services/rescanner.js';
+
+const SENSITIVITY_STATUSES = ['unknown', 'safe', 'flagged', 'review'];
+
+// Normalizes the request body into rescan criteria, or returns an error message
+const parseCriteria = (body = {}) => {
+  const { category, statuses, provider, analyzedBefore, includeOverridden } = body;
+
+  if (statuses !== undefined && (!Array.isArray(statuses) || statuses.some(status => !SENSITIVITY_STATUSES.includes(status)))) {
+    return { error: `statuses must be a list drawn from: ${SENSITIVITY_STATUSES.join(', ')}` };
+  }
+  if (analyzedBefore && Number.isNaN(new Date(analyzedBefore).getTime())) {
+    return { error: 'analyzedBefore must be a date' };
+  }
+
+  return {
+    criteria: {
+      category: category || undefined,
+      statuses: statuses?.length ? statuses : undefined,
+      provider: provider || undefined,
+      analyzedBefore: analyzedBefore ? new Date(analyzedBefore) : undefined,
+      includeOverridden: includeOverridden === true
+    }
+  };
+};
+
+// With dryRun set only the number of matching videos is returned
+export const startRescanController = async (req, res) => {
+  try {
+    const { criteria, error } = parseCriteria(req.body.criteria);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    if (req.body.dryRun) {
+      const count = await countRescanCandidates(criteria);
+      return res.json({ count });
+    }
+
+    const run = await startRescan(criteria, req.user._id);
+    res.status(201).json({
+      msg: run.total > 0 ? `Re-scan queued for ${run.total} video(s)` : 'No videos match these criteria',
+      run
+    });
+  } catch (error) {
+    console.error('Start rescan error:', error);
+    res.status(500).json({ msg: 'Failed to start re-scan' });
+  }
+};
+
+export const getRescansController = async (req, res) => {
+  try {
+    const runs = await RescanRun.find({})
+      .populate('requestedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(10);
+    res.json({ runs });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to fetch re-scans' });
+  }
+};
+
+export const getRescanController = async (req, res) => {
+  try {
+    const run = await RescanRun.findById(req.params.id).populate('requestedBy', 'username');
+    if (!run) {
+      return res.status(404).json({ msg: 'Re-scan not found' });
+    }
+    res.json({ run });
+  } catch (error) {
+    res.status(500).json({ msg: 'Failed to fetch re-scan' });
+  }
+};
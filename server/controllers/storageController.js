@@ -0,0 +1,47 @@
+import Video from '../models/Video.js';
+import { runJanitor } from '../services/storageJanitor.js';
+import { getStorage } from '../services/storage/index.js';
+import { verifySignature } from '../services/storage/localDriver.js';
+import { sendStoredFile } from '../utils/storedFile.js';
+
+// Dry run of the storage janitor: what it would remove and which videos have
+// lost their files, without touching anything
+export const getStorageReportController = async (req, res) => {
+  try {
+    const report = await runJanitor({ dryRun: true });
+    res.json({ report });
+  } catch (error) {
+    console.error('Storage report error:', error);
+    res.status(500).json({ msg: 'Failed to build storage report' });
+  }
+};
+
+// Target of the local driver's signed URLs. The signature stands in for a
+// login, so only the key it was issued for is served, and only until it expires.
+export const getSignedFileController = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (getStorage().name !== 'local' || !verifySignature(key, expires, signature)) {
+      return res.status(403).json({ msg: 'Link is invalid or has expired' });
+    }
+
+    const stat = await getStorage().stat(key);
+    if (!stat) {
+      return res.status(404).json({ msg: 'File not found' });
+    }
+
+    const video = await Video.findOne({ $or: [{ storageKey: key }, { 'versions.storageKey': key }] }).select('mimeType').lean();
+
+    res.set('Cache-Control', 'private, no-store');
+    await sendStoredFile(res, key, {
+      range: req.headers.range,
+      size: stat.size,
+      contentType: video?.mimeType || 'application/octet-stream'
+    });
+  } catch (error) {
+    console.error('Signed file error:', error);
+    res.status(500).json({ msg: 'Failed to serve file' });
+  }
+};
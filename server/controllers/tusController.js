@@ -0,0 +1,297 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import UploadSession from '../models/UploadSession.js';
+import { inspectVideoFile } from '../services/videoValidator.js';
+import { createUploadedVideo } from '../services/videoIntake.js';
+import { assertWithinQuota } from '../services/quota.js';
+import { buildUploadFilename } from '../middleware/upload.js';
+import { getTempRoot, getPartialUploadPath } from '../utils/mediaPaths.js';
+
+// tus 1.0 resumable uploads: core protocol plus the creation and termination
+// extensions. See https://tus.io/protocols/resumable-upload
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination';
+
+const getConfig = () => ({
+  maxSize: parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 10 * 1024 * 1024 * 1024, // 10GB
+  expirationMs: parseInt(process.env.RESUMABLE_UPLOAD_EXPIRATION_MS) || 24 * 60 * 60 * 1000,
+  allowedTypes: process.env.ALLOWED_VIDEO_TYPES?.split(',') || ['video/mp4']
+});
+
+// Chunks for the same upload must be appended one at a time
+const activeUploads = new Set();
+
+const rejection = (status, msg) => Object.assign(new Error(msg), { status });
+
+// Upload-Metadata is a comma-separated list of "key base64value" pairs.
+// Resolves to null when the header is malformed.
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    if (!key || rest.length > 0) return null;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+};
+
+const findSession = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return UploadSession.findOne({ _id: req.params.id, uploadedBy: req.user._id });
+};
+
+const getExpiry = () => new Date(Date.now() + getConfig().expirationMs);
+
+const dropSession = async (session) => {
+  fs.rmSync(getPartialUploadPath(session._id), { force: true });
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+// The last chunk has landed: validate the file the same way a multipart
+// upload is validated, then create the Video, which moves the partial file
+// into storage
+const completeUpload = async (session) => {
+  const partialPath = getPartialUploadPath(session._id);
+  // Other uploads may have finished since this one was created
+  await assertWithinQuota(session.uploadedBy, { bytes: session.length });
+  const probe = await inspectVideoFile(partialPath);
+
+  const { filename, filetype } = session.metadata;
+  const video = await createUploadedVideo(
+    { filename: buildUploadFilename('video', filename), originalName: filename, path: partialPath, size: session.length, mimeType: filetype },
+    session.metadata,
+    { uploadedBy: session.uploadedBy, probe }
+  );
+
+  session.state = 'completed';
+  session.video = video._id;
+  await session.save();
+  return video;
+};
+
+// Every response carries Tus-Resumable; apart from OPTIONS, requests for a
+// protocol version we do not speak are refused
+export const tusResumable = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).json({ msg: `Only tus ${TUS_VERSION} is supported` });
+  }
+  next();
+};
+
+export const tusOptionsController = (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(getConfig().maxSize)
+  }).status(204).end();
+};
+
+// creation extension: reserves an upload and answers with its URL
+export const createUploadController = async (req, res) => {
+  try {
+    const { maxSize, allowedTypes } = getConfig();
+    const lengthHeader = req.get('Upload-Length');
+
+    if (req.get('Upload-Defer-Length')) {
+      return res.status(400).json({ msg: 'Deferred upload length is not supported' });
+    }
+    if (!/^\d+$/.test(lengthHeader || '')) {
+      return res.status(400).json({ msg: 'Upload-Length header is required' });
+    }
+
+    const length = Number(lengthHeader);
+    if (length === 0) {
+      return res.status(422).json({ msg: 'File is empty' });
+    }
+    if (length > maxSize) {
+      return res.status(413).json({ msg: `File is larger than the ${Math.round(maxSize / (1024 * 1024))}MB limit` });
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    if (!metadata) {
+      return res.status(400).json({ msg: 'Upload-Metadata header is malformed' });
+    }
+    if (!metadata.filename) {
+      return res.status(400).json({ msg: 'Upload-Metadata must include the filename' });
+    }
+    if (!metadata.title?.trim()) {
+      return res.status(400).json({ msg: 'Title is required' });
+    }
+    if (!allowedTypes.includes(metadata.filetype)) {
+      return res.status(415).json({ msg: `Invalid file type: ${metadata.filetype || 'unknown'}. Only video files are allowed.` });
+    }
+
+    try {
+      await assertWithinQuota(req.user._id, { bytes: length });
+    } catch (quotaError) {
+      if (!quotaError.status) throw quotaError;
+      return res.status(quotaError.status).json({ msg: quotaError.message });
+    }
+
+    const session = await UploadSession.create({
+      uploadedBy: req.user._id,
+      length,
+      metadata,
+      expiresAt: getExpiry()
+    });
+
+    fs.mkdirSync(getTempRoot(), { recursive: true });
+    fs.writeFileSync(getPartialUploadPath(session._id), '');
+
+    console.log(`📥 Resumable upload ${session._id} started for ${metadata.filename} (${length} bytes)`);
+
+    res.status(201).set('Location', `${req.baseUrl}/${session._id}`).end();
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({ msg: 'Failed to create upload' });
+  }
+};
+
+// Reports how many bytes the server holds so the client can resume from there.
+// Finished uploads also report the Video they became.
+export const getUploadOffsetController = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.length),
+      'Cache-Control': 'no-store'
+    });
+    if (session.video) {
+      res.set('Upload-Video-Id', String(session.video));
+    }
+    res.status(200).end();
+  } catch (error) {
+    console.error('Upload offset error:', error);
+    res.status(500).end();
+  }
+};
+
+// Appends one chunk. An interrupted request keeps whatever bytes arrived;
+// the client asks for the offset and continues from there.
+export const patchUploadController = async (req, res) => {
+  const { id } = req.params;
+
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ msg: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  if (activeUploads.has(id)) {
+    return res.status(423).json({ msg: 'This upload is already receiving a chunk' });
+  }
+  activeUploads.add(id);
+
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ msg: 'Upload not found' });
+    }
+
+    const partialPath = getPartialUploadPath(session._id);
+    if (session.state === 'uploading' && !fs.existsSync(partialPath)) {
+      await UploadSession.deleteOne({ _id: session._id });
+      return res.status(410).json({ msg: 'Upload has expired' });
+    }
+
+    if (Number(req.get('Upload-Offset')) !== session.offset) {
+      return res.status(409).set('Upload-Offset', String(session.offset)).json({ msg: 'Upload-Offset does not match the server' });
+    }
+
+    // Nothing left to receive, e.g. the response to the final chunk was lost
+    if (session.state === 'completed') {
+      return res.status(204).set({
+        'Upload-Offset': String(session.offset),
+        'Upload-Video-Id': String(session.video)
+      }).end();
+    }
+
+    const remaining = session.length - session.offset;
+    let received = 0;
+    const guard = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(rejection(413, 'Chunk extends past Upload-Length'));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    let streamError = null;
+    try {
+      await pipeline(req, guard, fs.createWriteStream(partialPath, { flags: 'a' }));
+    } catch (error) {
+      streamError = error;
+    }
+
+    session.offset = fs.statSync(partialPath).size;
+    session.expiresAt = getExpiry();
+    await session.save();
+
+    if (streamError) {
+      if (streamError.status) {
+        return res.status(streamError.status).set('Upload-Offset', String(session.offset)).json({ msg: streamError.message });
+      }
+      console.warn(`⚠️ Resumable upload ${id} interrupted at ${session.offset}/${session.length} bytes`);
+      return res.status(500).json({ msg: 'Upload interrupted' });
+    }
+
+    if (session.offset < session.length) {
+      return res.status(204).set('Upload-Offset', String(session.offset)).end();
+    }
+
+    try {
+      const video = await completeUpload(session);
+      console.log(`✅ Resumable upload ${id} completed as video ${video._id}`);
+      res.status(204).set({
+        'Upload-Offset': String(session.offset),
+        'Upload-Video-Id': String(video._id)
+      }).end();
+    } catch (error) {
+      if (!error.status) throw error;
+
+      // A rejected file cannot become valid by sending it again
+      await dropSession(session);
+      console.warn(`🚫 Rejected resumable upload ${session.metadata.filename}: ${error.message}`);
+      // tus clients retry a 409, which would start the whole upload over
+      res.status(error.status === 409 ? 422 : error.status).json({ msg: error.message, duplicates: error.duplicates });
+    }
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ msg: 'Failed to store upload chunk' });
+  } finally {
+    activeUploads.delete(id);
+  }
+};
+
+// termination extension: abandons an upload and frees its partial file.
+// A finished upload's Video is not affected.
+export const deleteUploadController = async (req, res) => {
+  try {
+    if (activeUploads.has(req.params.id)) {
+      return res.status(423).json({ msg: 'This upload is still receiving a chunk' });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ msg: 'Upload not found' });
+    }
+
+    await dropSession(session);
+    console.log(`🗑️ Resumable upload ${session._id} terminated`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({ msg: 'Failed to terminate upload' });
+  }
+};
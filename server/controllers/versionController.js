@@ -0,0 +1,166 @@
+import fs from 'fs';
+import Video from '../models/Video.js';
+import ModerationReport from '../models/ModerationReport.js';
+import { enqueueJob, cancelJobs } from '../services/jobQueue.js';
+import { getStorage } from '../services/storage/index.js';
+import { assertWithinQuota } from '../services/quota.js';
+import { getMediaDir } from '../utils/mediaPaths.js';
+
+const FILE_FIELDS = ['filename', 'originalName', 'storageKey', 'fileSize', 'mimeType', 'duration'];
+
+const pickFileFields = (source) => Object.fromEntries(FILE_FIELDS.map(field => [field, source[field]]));
+
+// Videos uploaded before versioning have no history yet; record their
+// original file as version 1 the first time it is needed
+const ensureVersionHistory = (video) => {
+  if (video.versions.length > 0) return;
+
+  video.versions.push({
+    version: 1,
+    ...pickFileFields(video),
+    uploadedBy: video.uploadedBy,
+    uploadedAt: video.createdAt
+  });
+  video.currentVersion = 1;
+};
+
+// Points the video at another file and throws away everything derived from the
+// previous one, so the new file goes through the whole pipeline again
+const switchToFile = async (video, file, version) => {
+  // A standalone worker still on the old file shares the frames and media
+  // directories with the job queued below, so it has to let go first
+  await cancelJobs({ 'payload.videoId': String(video._id) }, { waitForRemote: true });
+
+  Object.assign(video, pickFileFields(file));
+  video.currentVersion = version;
+  video.metadata = file.metadata;
+  video.processingStatus = 'pending';
+  video.processingProgress = 0;
+  video.sensitivityStatus = 'unknown';
+  video.sensitivityScore = 0;
+  video.hls = { status: 'none' };
+  video.duplicates = [];
+  for (const field of ['processingStage', 'processingError', 'technicalError', 'moderation', 'thumbnails', 'rejectionReason', 'fingerprint', 'blocklistMatch']) {
+    video[field] = undefined;
+  }
+
+  fs.rmSync(getMediaDir(video._id), { recursive: true, force: true });
+  await ModerationReport.deleteOne({ video: video._id });
+
+  await video.save();
+  await enqueueJob('processVideo', { videoId: String(video._id) });
+};
+
+const removeUpload = (req) => {
+  if (req.file) {
+    fs.rmSync(req.file.path, { force: true });
+  }
+};
+
+// Uploads a new file for an existing video. The id, URL and view count stay;
+// the previous file is kept as an earlier version. Admins or the owning editor.
+export const replaceVideoFileController = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ msg: 'No video file provided' });
+    }
+
+    const { id } = req.params;
+    const { role, _id: userId } = req.user;
+    const filter = { _id: id };
+
+    if (role === 'editor') {
+      filter.uploadedBy = userId;
+    }
+
+    const video = await Video.findOne(filter);
+
+    if (!video) {
+      removeUpload(req);
+      return res.status(404).json({ msg: 'Video not found or access denied' });
+    }
+
+    if (video.processingStatus === 'rejected') {
+      removeUpload(req);
+      return res.status(400).json({ msg: 'Rejected videos cannot be replaced' });
+    }
+
+    // requireQuota only saw the request's Content-Length
+    await assertWithinQuota(userId, { bytes: req.file.size, videos: 0 });
+
+    ensureVersionHistory(video);
+
+    await getStorage().put(req.file.filename, req.file.path, { contentType: req.file.mimetype });
+
+    const version = Math.max(...video.versions.map(entry => entry.version)) + 1;
+    const file = {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      storageKey: req.file.filename,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      duration: req.videoProbe?.duration,
+      metadata: req.videoProbe?.metadata
+    };
+
+    video.versions.push({ version, ...pickFileFields(file), uploadedBy: userId, uploadedAt: new Date() });
+    await switchToFile(video, file, version);
+
+    console.log(`🔁 Video ${id} replaced with version ${version}`);
+
+    const updated = await Video.findById(id)
+      .populate('uploadedBy', 'username email')
+      .populate('versions.uploadedBy', 'username');
+
+    res.json({ msg: `Version ${version} uploaded and queued for processing`, video: updated });
+  } catch (error) {
+    removeUpload(req);
+    if (error.status === 403) {
+      return res.status(403).json({ msg: error.message });
+    }
+
+    console.error('Replace file error:', error);
+    res.status(500).json({ msg: 'Failed to replace video file' });
+  }
+};
+
+// Makes an earlier version current again (Admin). No new version is created;
+// the video is reprocessed from that version's file.
+export const rollbackVideoVersionController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = Number(req.params.version);
+
+    const video = await Video.findById(id);
+    if (!video) {
+      return res.status(404).json({ msg: 'Video not found' });
+    }
+
+    const entry = video.versions.find(item => item.version === version);
+    if (!entry) {
+      return res.status(404).json({ msg: `Version ${req.params.version} not found` });
+    }
+
+    if (version === video.currentVersion) {
+      return res.status(400).json({ msg: `Version ${version} is already current` });
+    }
+
+    if (!entry.storageKey || !(await getStorage().stat(entry.storageKey))) {
+      return res.status(410).json({ msg: `The file for version ${version} is no longer available` });
+    }
+
+    // Metadata is re-probed during processing
+    await switchToFile(video, { ...pickFileFields(entry), metadata: undefined }, version);
+
+    console.log(`⏪ Video ${id} rolled back to version ${version}`);
+
+    const updated = await Video.findById(id)
+      .populate('uploadedBy', 'username email')
+      .populate('versions.uploadedBy', 'username');
+
+    res.json({ msg: `Rolled back to version ${version}`, video: updated });
+  } catch (error) {
+    console.error('Rollback error:', error);
+    res.status(500).json({ msg: 'Rollback failed' });
+  }
+};
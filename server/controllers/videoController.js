@@ -1,6 +1,15 @@
 import fs from 'fs';
 import Video from '../models/Video.js';
-import { processVideo } from '../services/videoProcessor.js';
+import ModerationReport from '../models/ModerationReport.js';
+import { enqueueJob, cancelJobs } from '../services/jobQueue.js';
+import { createUploadedVideo } from '../services/videoIntake.js';
+import { assertWithinQuota } from '../services/quota.js';
+import { parseImportUrl } from '../services/urlImporter.js';
+import { blockVideoContent, deferVideoBlock } from '../services/blocklist.js';
+import { checkVideoAccess, isOwner } from '../utils/videoAccess.js';
+import { getMediaDir } from '../utils/mediaPaths.js';
+import { sendStoredFile } from '../utils/storedFile.js';
+import { getStorage } from '../services/storage/index.js';
 
 export const uploadVideoController = async (req, res) => {
   try {
@@ -8,9 +17,7 @@ export const uploadVideoController = async (req, res) => {
       return res.status(400).json({ msg: 'No video file provided' });
     }
 
-    const { title, description, tags, category, isPublic } = req.body;
     const { filename, originalname, path, size, mimetype } = req.file;
-    const { _id: uploadedBy } = req.user;
 
     // Verify file exists after upload
     if (!fs.existsSync(path)) {
@@ -18,30 +25,30 @@ export const uploadVideoController = async (req, res) => {
       return res.status(500).json({ msg: 'File upload failed - file not found after upload' });
     }
 
-    const video = new Video({
-      title,
-      description,
-      filename,
-      originalName: originalname,
-      filePath: path,
-      fileSize: size,
-      mimeType: mimetype,
-      uploadedBy,
-      tags: tags || [],
-      category: category || 'general',
-      isPublic: isPublic === 'true' || isPublic === true // Handle string/boolean conversion
-    });
-
-    const savedVideo = await video.save();
+    // requireQuota only saw the request's Content-Length
+    await assertWithinQuota(req.user._id, { bytes: size });
 
-    // Start processing
-    processVideo(savedVideo._id, req.io);
+    const savedVideo = await createUploadedVideo(
+      { filename, originalName: originalname, path, size, mimeType: mimetype },
+      req.body,
+      // Already probed by validateUploadedVideo
+      { uploadedBy: req.user._id, probe: req.videoProbe }
+    );
 
     res.status(201).json({ 
       msg: 'Video uploaded successfully', 
-      video: savedVideo
+      video: savedVideo,
+      duplicates: savedVideo.duplicates
     });
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ msg: error.message, duplicates: error.duplicates });
+    }
+    if (error.status === 403) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(403).json({ msg: error.message });
+    }
+
     console.error('Upload error:', error);
     
     // Clean up file on error
@@ -60,6 +67,44 @@ export const uploadVideoController = async (req, res) => {
   }
 };
 
+// Downloads happen in an 'importVideo' job; progress and the resulting video
+// arrive as 'importProgress' events in the user's Socket.IO room
+export const importVideoController = async (req, res) => {
+  try {
+    const { url, title, description, tags, category, isPublic } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ msg: 'URL is required' });
+    }
+    const parsed = parseImportUrl(url);
+
+    const job = await enqueueJob('importVideo', {
+      url: parsed.href,
+      userId: String(req.user._id),
+      fields: { title: title?.trim(), description, tags, category, isPublic }
+    });
+
+    res.status(202).json({ msg: 'Import started', importId: job._id });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ msg: error.message });
+    }
+    console.error('Import error:', error);
+    res.status(500).json({ msg: 'Failed to start import' });
+  }
+};
+
+// Raw ffmpeg/stack output is for admins; everyone else gets processingError
+const hiddenFields = (role) => (role === 'admin' ? '' : '-technicalError -pendingBlock');
+
+// The file history (past file names, storage keys, uploaders) is only for the
+// video's owner and admins
+const withoutForeignHistory = (video, user) => {
+  if (user.role === 'admin' || isOwner(video, user)) return video;
+  const { versions, ...rest } = video.toObject();
+  return rest;
+};
+
 export const getAllVideosController = async (req, res) => {
   try {
     const { page = 1, limit = 10, status, sensitivity, category, search } = req.query;
@@ -81,9 +126,9 @@ export const getAllVideosController = async (req, res) => {
     // Role-based filtering
     if (role === 'viewer') {
       filter.$or = [{ isPublic: true }, { uploadedBy: userId }];
-      // Viewers can't see rejected or flagged videos
+      // Viewers can't see rejected, flagged or unreviewed videos
       filter.processingStatus = { $ne: 'rejected' };
-      filter.sensitivityStatus = { $ne: 'flagged' };
+      filter.sensitivityStatus = { $nin: ['flagged', 'review'] };
     } else if (role === 'editor') {
       // Editors can see their own videos (including rejected/flagged ones) 
       // but only safe public videos
@@ -92,13 +137,14 @@ export const getAllVideosController = async (req, res) => {
         { 
           isPublic: true, 
           processingStatus: { $ne: 'rejected' },
-          sensitivityStatus: { $ne: 'flagged' }
+          sensitivityStatus: { $nin: ['flagged', 'review'] }
         }
       ];
     }
     // Admins can see all videos including rejected and flagged ones
 
     const videos = await Video.find(filter)
+      .select(hiddenFields(role))
       .populate('uploadedBy', 'username email')
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -107,7 +153,7 @@ export const getAllVideosController = async (req, res) => {
     const total = await Video.countDocuments(filter);
 
     res.json({
-      videos,
+      videos: videos.map(video => withoutForeignHistory(video, req.user)),
       pagination: { page: +page, limit: +limit, total, pages: Math.ceil(total / limit) }
     });
   } catch (error) {
@@ -123,9 +169,9 @@ export const getVideoController = async (req, res) => {
     
     if (role === 'viewer') {
       filter.$or = [{ isPublic: true }, { uploadedBy: userId }];
-      // Viewers can't see rejected or flagged videos
+      // Viewers can't see rejected, flagged or unreviewed videos
       filter.processingStatus = { $ne: 'rejected' };
-      filter.sensitivityStatus = { $ne: 'flagged' };
+      filter.sensitivityStatus = { $nin: ['flagged', 'review'] };
     } else if (role === 'editor') {
       // Editors can see their own videos (including rejected/flagged ones) 
       // but only safe public videos
@@ -134,12 +180,15 @@ export const getVideoController = async (req, res) => {
         { 
           isPublic: true, 
           processingStatus: { $ne: 'rejected' },
-          sensitivityStatus: { $ne: 'flagged' }
+          sensitivityStatus: { $nin: ['flagged', 'review'] }
         }
       ];
     }
 
-    const video = await Video.findOne(filter).populate('uploadedBy', 'username email');
+    const video = await Video.findOne(filter)
+      .select(hiddenFields(role))
+      .populate('uploadedBy', 'username email')
+      .populate('versions.uploadedBy', 'username');
     
     if (!video) {
       return res.status(404).json({ msg: 'Video not found' });
@@ -151,7 +200,7 @@ export const getVideoController = async (req, res) => {
     // Viewers cannot see any flagged videos.
     // Admins can see everything.
 
-    res.json({ video });
+    res.json({ video: withoutForeignHistory(video, req.user) });
   } catch (error) {
     res.status(500).json({ msg: 'Failed to fetch video' });
   }
@@ -188,68 +237,31 @@ export const streamVideoController = async (req, res) => {
       return res.status(400).json({ msg: 'Video is still processing' });
     }
 
-    // STRICT ACCESS CONTROL FOR FLAGGED VIDEOS
-    if (video.sensitivityStatus === 'flagged') {
-      if (role === 'admin') {
-        console.log(`🔓 Admin access granted to flagged video`);
-        // Admins can watch flagged videos
-      } else if (role === 'editor' && video.uploadedBy.toString() === userId.toString()) {
-        console.log(`🔓 Editor access granted to own flagged video`);
-        // Editors can watch their own flagged videos
-      } else {
-        console.log(`🚫 Access denied to flagged video for ${role}`);
-        return res.status(403).json({ 
-          msg: 'This video has been flagged as inappropriate and cannot be watched',
-          reason: 'Content flagged by AI safety system'
-        });
-      }
-    }
-
-    // Check public/private access
-    if (!video.isPublic && video.uploadedBy.toString() !== userId.toString() && role !== 'admin') {
-      console.log(`🔒 Access denied to private video`);
-      return res.status(403).json({ msg: 'This video is private' });
+    // STRICT ACCESS CONTROL FOR FLAGGED AND PRIVATE VIDEOS
+    const denied = checkVideoAccess(video, req.user);
+    if (denied) {
+      console.log(`🚫 Access denied for ${role}: ${denied.msg}`);
+      const { status, ...body } = denied;
+      return res.status(status).json(body);
     }
 
     // Check if file exists
-    if (!fs.existsSync(video.filePath)) {
-      console.error(`📁 Video file not found: ${video.filePath}`);
+    const stat = await getStorage().stat(video.storageKey);
+    if (!stat) {
+      console.error(`📁 Video file not found: ${video.storageKey}`);
       return res.status(404).json({ msg: 'Video file not found on server' });
     }
 
-    const stat = fs.statSync(video.filePath);
-    const fileSize = stat.size;
-    
-    console.log(`📊 Streaming video: ${fileSize} bytes`);
-
-    // Handle range requests for video seeking
-    if (range) {
-      const [start, end] = range.replace(/bytes=/, "").split("-");
-      const startByte = parseInt(start, 10);
-      const endByte = end ? parseInt(end, 10) : fileSize - 1;
-      const chunksize = (endByte - startByte) + 1;
-      
-      console.log(`📡 Range request: ${startByte}-${endByte}/${fileSize}`);
-      
-      const file = fs.createReadStream(video.filePath, { start: startByte, end: endByte });
-      
-      res.status(206).set({
-        'Content-Range': `bytes ${startByte}-${endByte}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': video.mimeType || 'video/mp4'
-      });
-      
-      file.pipe(res);
+    if (process.env.STORAGE_REDIRECT_STREAMS === 'true') {
+      // Let the player fetch bytes from storage directly
+      res.redirect(302, await getStorage().getSignedUrl(video.storageKey));
     } else {
-      // Full file streaming
-      res.status(200).set({
-        'Content-Length': fileSize,
-        'Content-Type': video.mimeType || 'video/mp4',
-        'Accept-Ranges': 'bytes'
+      console.log(`📊 Streaming video: ${stat.size} bytes`);
+      await sendStoredFile(res, video.storageKey, {
+        range,
+        size: stat.size,
+        contentType: video.mimeType || 'video/mp4'
       });
-      
-      fs.createReadStream(video.filePath).pipe(res);
     }
 
     // Update view count asynchronously (only for successful streams)
@@ -311,11 +323,24 @@ export const deleteVideoController = async (req, res) => {
       return res.status(404).json({ msg: 'Video not found or access denied' });
     }
 
-    if (fs.existsSync(video.filePath)) {
-      fs.unlinkSync(video.filePath);
+    // Stop any ffmpeg still reading the file before it disappears, including
+    // in standalone workers. A worker that does not let go in time finishes
+    // reading what it already opened; its writes for the deleted video are
+    // no-ops, and leftover media is removed by the janitor.
+    await cancelJobs({ 'payload.videoId': String(video._id) }, { waitForRemote: true });
+
+    // Earlier versions keep their own files alongside the current one
+    const storageKeys = new Set([video.storageKey, ...video.versions.map(entry => entry.storageKey)]);
+    for (const key of storageKeys) {
+      if (key) {
+        await getStorage().delete(key);
+      }
     }
 
+    fs.rmSync(getMediaDir(video._id), { recursive: true, force: true });
+
     await Video.findByIdAndDelete(id);
+    await ModerationReport.deleteOne({ video: id });
     res.json({ msg: 'Video deleted successfully' });
   } catch (error) {
     res.status(500).json({ msg: 'Delete failed' });
@@ -333,25 +358,155 @@ export const rejectVideoController = async (req, res) => {
       return res.status(403).json({ msg: 'Only admins can reject videos' });
     }
 
-    const video = await Video.findByIdAndUpdate(
-      id,
-      { 
-        processingStatus: 'rejected',
-        rejectionReason: reason || 'Content policy violation'
-      },
-      { new: true }
-    ).populate('uploadedBy', 'username email');
+    // The previous status tells whether frame hashes are still to come
+    const previous = await Video.findByIdAndUpdate(id, {
+      processingStatus: 'rejected',
+      rejectionReason: reason || 'Content policy violation'
+    }).select('processingStatus');
 
-    if (!video) {
+    if (!previous) {
       return res.status(404).json({ msg: 'Video not found' });
     }
 
-    res.json({ msg: 'Video rejected successfully', video });
+    const video = await Video.findById(id).populate('uploadedBy', 'username email');
+
+    // Keep the same content from coming back under another upload
+    const block = { reason: video.rejectionReason, origin: 'rejection', addedBy: req.user._id };
+    let blocked = await blockVideoContent(video, block);
+    let deferred = false;
+
+    if (!blocked && previous.processingStatus === 'processing') {
+      deferred = await deferVideoBlock(video._id, block);
+      if (!deferred) {
+        // The hashes were stored in the meantime
+        blocked = await blockVideoContent(await Video.findById(id), block);
+      }
+    }
+
+    let msg = 'Video rejected; its content was not added to the blocklist because it has no frame fingerprints';
+    if (blocked) {
+      msg = 'Video rejected and its content added to the blocklist';
+    } else if (deferred) {
+      msg = 'Video rejected; its content will be added to the blocklist once processing has fingerprinted it';
+    }
+
+    res.json({ msg, video, blocked: !!blocked, blockPending: deferred });
   } catch (error) {
     res.status(500).json({ msg: 'Rejection failed' });
   }
 };
 
+// Stops queued or running work for a video: processing becomes 'cancelled',
+// an in-progress HLS ladder is discarded. Admins or the owning editor.
+export const cancelVideoController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, _id: userId } = req.user;
+    const filter = { _id: id };
+
+    if (role === 'editor') {
+      filter.uploadedBy = userId;
+    }
+
+    const video = await Video.findOne(filter);
+
+    if (!video) {
+      return res.status(404).json({ msg: 'Video not found or access denied' });
+    }
+
+    const isProcessing = ['pending', 'processing'].includes(video.processingStatus);
+    const isTranscoding = video.hls?.status === 'processing';
+
+    if (!isProcessing && !isTranscoding) {
+      return res.status(409).json({ msg: 'Nothing to cancel for this video' });
+    }
+
+    // Mark the video first so a job finishing right now cannot complete it
+    if (isProcessing) {
+      await Video.updateOne(
+        { _id: video._id, processingStatus: { $in: ['pending', 'processing'] } },
+        {
+          processingStatus: 'cancelled',
+          processingError: 'Processing was cancelled',
+          $unset: { processingStage: 1, technicalError: 1 }
+        }
+      );
+    }
+
+    await cancelJobs({ 'payload.videoId': String(video._id) });
+
+    const updated = await Video.findById(video._id).populate('uploadedBy', 'username email');
+
+    if (req.io && isProcessing) {
+      req.io.to(`user-${video.uploadedBy}`).emit('videoProcessed', {
+        videoId: String(video._id),
+        status: 'cancelled'
+      });
+    }
+
+    res.json({ msg: 'Processing cancelled', video: updated });
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({ msg: 'Failed to cancel processing' });
+  }
+};
+
+// Re-run processing for a failed, cancelled or previously processed video.
+// Admins can reprocess any video, editors only their own.
+export const reprocessVideoController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, _id: userId } = req.user;
+    const filter = { _id: id };
+
+    if (role === 'editor') {
+      filter.uploadedBy = userId;
+    }
+
+    const video = await Video.findOne(filter);
+
+    if (!video) {
+      return res.status(404).json({ msg: 'Video not found or access denied' });
+    }
+
+    if (['pending', 'processing'].includes(video.processingStatus)) {
+      return res.status(409).json({ msg: 'Video is already being processed' });
+    }
+
+    if (video.processingStatus === 'rejected') {
+      return res.status(400).json({ msg: 'Rejected videos cannot be reprocessed' });
+    }
+
+    // Moderation is not deterministic, so uploaders cannot retry their way
+    // past a verdict; an admin has to clear it
+    if (role !== 'admin' && ['flagged', 'review'].includes(video.sensitivityStatus)) {
+      return res.status(403).json({ msg: 'Flagged videos and videos awaiting review can only be reprocessed by an admin' });
+    }
+
+    // A clip that was never cut can be cut again from its source
+    const hasFile = !!(await getStorage().stat(video.storageKey));
+    const needsCut = video.clip?.end && !hasFile;
+
+    if (!needsCut && !hasFile) {
+      return res.status(400).json({ msg: 'Original file is missing, upload the video again' });
+    }
+
+    video.processingStatus = 'pending';
+    video.processingProgress = 0;
+    video.processingStage = undefined;
+    video.processingError = undefined;
+    video.technicalError = undefined;
+    await video.save();
+
+    await enqueueJob(needsCut ? 'createClip' : 'processVideo', { videoId: String(video._id) });
+
+    res.json({ msg: 'Video queued for processing', video });
+  } catch (error) {
+    console.error('Reprocess error:', error);
+    res.status(500).json({ msg: 'Failed to queue video for processing' });
+  }
+};
+
 // Manual override endpoint for admins to mark videos as safe
 export const overrideVideoSafetyController = async (req, res) => {
   try {
@@ -367,7 +522,10 @@ export const overrideVideoSafetyController = async (req, res) => {
       id,
       { 
         sensitivityStatus: 'safe',
-        sensitivityScore: 0
+        sensitivityScore: 0,
+        // Bulk re-scans skip overridden videos unless asked not to
+        'moderation.overriddenBy': req.user._id,
+        'moderation.overriddenAt': new Date()
       },
       { new: true }
     ).populate('uploadedBy', 'username email');
@@ -0,0 +1,28 @@
+import { assertWithinQuota } from '../services/quota.js';
+
+// Runs before multer so an upload over quota is refused before anything is
+// written to disk. Content-Length stands in for the file size; the multipart
+// framing makes it slightly larger. videos is how many new videos the request
+// creates (0 for a replacement file). Chunked uploads carry no length to check,
+// so file uploads must send one; the controllers check the stored file again.
+export const requireQuota = ({ videos = 1 } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const bytes = parseInt(req.get('content-length')) || 0;
+      if (!bytes && req.is('multipart/form-data')) {
+        return res.status(411).json({ msg: 'Uploads must send a Content-Length header' });
+      }
+
+      await assertWithinQuota(req.user._id, { bytes, videos });
+      next();
+    } catch (error) {
+      if (error.status) {
+        console.warn(`🚫 Upload by ${req.user.username} refused: ${error.message}`);
+        return res.status(error.status).json({ msg: error.message });
+      }
+
+      console.error('Quota check error:', error);
+      res.status(500).json({ msg: 'Could not check quota' });
+    }
+  };
+};
@@ -1,24 +1,30 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { getStagingDir } from '../utils/mediaPaths.js';
 
+// Files are staged locally and validated before they are put into storage
 const createUploadDir = () => {
-  const uploadDir = path.join(process.cwd(), 'uploads');
+  const uploadDir = getStagingDir();
   if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
   }
   return uploadDir;
 };
 
+// Unique name, also used as the storage key, that keeps the original extension
+export const buildUploadFilename = (fieldname, originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return fieldname + '-' + uniqueSuffix + path.extname(originalname);
+};
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadDir = createUploadDir();
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const filename = file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname);
-    cb(null, filename);
+    cb(null, buildUploadFilename(file.fieldname, file.originalname));
   }
 });
 
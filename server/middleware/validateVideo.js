@@ -0,0 +1,23 @@
+import fs from 'fs';
+import { inspectVideoFile } from '../services/videoValidator.js';
+
+// Runs after multer: inspects the stored file and rejects it with a 4xx before
+// any Video document exists. The probe result is left on req.videoProbe.
+export const validateUploadedVideo = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    req.videoProbe = await inspectVideoFile(req.file.path);
+    next();
+  } catch (error) {
+    fs.rmSync(req.file.path, { force: true });
+
+    if (error.status) {
+      console.warn(`🚫 Rejected upload ${req.file.originalname}: ${error.message}`);
+      return res.status(error.status).json({ msg: error.message });
+    }
+
+    console.error('Upload validation error:', error);
+    res.status(500).json({ msg: 'Could not validate uploaded file' });
+  }
+};
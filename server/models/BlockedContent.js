@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Frame hashes of content that must not be published again. Uploads whose
+// frames match an entry are flagged during processing.
+const blockedContentSchema = new mongoose.Schema({
+  hashes: [{
+    type: String
+  }],
+  reason: {
+    type: String,
+    required: true
+  },
+  // 'rejection' entries are created when an admin rejects a video
+  origin: {
+    type: String,
+    enum: ['rejection', 'manual'],
+    default: 'manual'
+  },
+  sourceVideo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  // Kept so the entry still makes sense after the source video is deleted
+  sourceTitle: {
+    type: String
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+blockedContentSchema.index({ sourceVideo: 1 });
+
+export default mongoose.model('BlockedContent', blockedContentSchema);
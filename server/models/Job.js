@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  state: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 0 for work users are waiting on; background work (re-scans) uses a
+  // higher number and only runs once nothing more urgent is ready
+  priority: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  heartbeatAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  // Set for running jobs; whichever worker holds the lease sees it on its
+  // next heartbeat and aborts the handler
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ state: 1, priority: 1, runAt: 1 });
+jobSchema.index({ state: 1, lockedUntil: 1 });
+jobSchema.index({ type: 1, 'payload.videoId': 1 });
+
+export default mongoose.model('Job', jobSchema);
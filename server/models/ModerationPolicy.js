@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const moderationPolicySchema = new mongoose.Schema({
+  // Video category this applies to; 'default' covers every other category
+  category: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Content classes that count against a video; flags in other classes are ignored
+  classes: [{
+    type: String
+  }],
+  // Minimum provider confidence for a flagged frame to count
+  flagThreshold: {
+    type: Number,
+    default: 0.5,
+    min: 0,
+    max: 1
+  },
+  // Counted flagged frames needed before action is taken
+  minFlaggedFrames: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // What happens to a video that crosses the threshold
+  action: {
+    type: String,
+    enum: ['flag', 'review', 'reject'],
+    default: 'flag'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ModerationPolicy', moderationPolicySchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const frameResultSchema = new mongoose.Schema({
+  frame: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Number
+  },
+  verdict: {
+    type: String,
+    enum: ['safe', 'flagged', 'uncertain'],
+    required: true
+  },
+  category: {
+    type: String
+  },
+  confidence: {
+    type: Number,
+    default: 0
+  },
+  provider: {
+    type: String
+  },
+  // Set when the frame image was kept as evidence (flagged or undecided frames)
+  image: {
+    type: String
+  },
+  providerErrors: [{
+    type: String
+  }]
+}, { _id: false });
+
+const moderationReportSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['safe', 'flagged', 'review'],
+    required: true
+  },
+  confidence: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String
+  },
+  frames: [frameResultSchema],
+  analyzedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ModerationReport', moderationReportSchema);
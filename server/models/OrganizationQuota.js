@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Limits shared by every user whose User.organization matches. An unset limit
+// is unlimited.
+const organizationQuotaSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  storageBytes: {
+    type: Number,
+    min: 0
+  },
+  videoCount: {
+    type: Number,
+    min: 0
+  },
+  processingMinutes: {
+    type: Number,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('OrganizationQuota', organizationQuotaSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Seconds of video a user had processed in one calendar month (UTC), for the
+// processing-minutes quota
+const processingUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'YYYY-MM'
+  month: {
+    type: String,
+    required: true
+  },
+  seconds: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+processingUsageSchema.index({ user: 1, month: 1 }, { unique: true });
+
+export default mongoose.model('ProcessingUsage', processingUsageSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One admin-requested bulk re-scan. Each selected video gets its own
+// 'rescanVideo' job; results are tallied here as the jobs finish.
+const rescanRunSchema = new mongoose.Schema({
+  criteria: {
+    category: String,
+    statuses: [String],
+    provider: String,
+    analyzedBefore: Date,
+    includeOverridden: Boolean
+  },
+  state: {
+    type: String,
+    enum: ['running', 'completed'],
+    default: 'running'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  completed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Videos that were overridden, reprocessed or rejected while queued
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  // Only videos whose verdict changed are listed
+  changes: [{
+    _id: false,
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video'
+    },
+    title: String,
+    from: String,
+    to: String
+  }],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('RescanRun', rescanRunSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const samplingPolicySchema = new mongoose.Schema({
+  // Video category this applies to; 'default' covers every other category
+  category: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  minSamples: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  maxSamples: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  samplesPerMinute: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+  sceneDetection: {
+    type: Boolean,
+    default: true
+  },
+  sceneThreshold: {
+    type: Number,
+    default: 0.3,
+    min: 0,
+    max: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('SamplingPolicy', samplingPolicySchema);
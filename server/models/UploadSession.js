@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A resumable (tus) upload. Chunks are appended to a partial file under temp/
+// until offset reaches length; only then is the Video created.
+const uploadSessionSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Decoded Upload-Metadata sent when the upload was created
+  metadata: {
+    filename: String,
+    filetype: String,
+    title: String,
+    description: String,
+    category: String,
+    tags: String,
+    isPublic: String
+  },
+  state: {
+    type: String,
+    enum: ['uploading', 'completed'],
+    default: 'uploading'
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  // Pushed forward on every chunk; abandoned sessions are dropped by the TTL
+  // index and their partial files by the storage janitor
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
@@ -24,6 +24,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Per-user limits; unset means unlimited
+  quota: {
+    storageBytes: { type: Number, min: 0 },
+    videoCount: { type: Number, min: 0 },
+    processingMinutes: { type: Number, min: 0 }
+  },
  
   isActive: {
     type: Boolean,
@@ -16,7 +16,8 @@ const videoSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  filePath: {
+  // Where the original file lives in storage (services/storage)
+  storageKey: {
     type: String,
     required: true
   },
@@ -39,13 +40,16 @@ const videoSchema = new mongoose.Schema({
   },
   processingStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'rejected'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'rejected', 'cancelled'],
     default: 'pending'
   },
   processingProgress: {
     type: Number,
     default: 0
   },
+  processingStage: {
+    type: String
+  },
   rejectionReason: {
     type: String
   },
@@ -57,13 +61,24 @@ const videoSchema = new mongoose.Schema({
   },
   sensitivityStatus: {
     type: String,
-    enum: ['unknown', 'safe', 'flagged'],
+    enum: ['unknown', 'safe', 'flagged', 'review'],
     default: 'unknown'
   },
   sensitivityScore: {
     type: Number,
     default: 0
   },
+  moderation: {
+    provider: String,
+    analyzedAt: Date,
+    note: String,
+    // Set when an admin marked the video safe by hand
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
+  },
   tags: [{
     type: String
   }],
@@ -79,12 +94,126 @@ const videoSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  thumbnails: {
+    poster: String,
+    // Muted few-second MP4 played when hovering a library card
+    preview: String,
+    storyboard: {
+      image: String,
+      interval: Number,
+      count: Number,
+      columns: Number,
+      rows: Number,
+      tileWidth: Number,
+      tileHeight: Number
+    }
+  },
+  hls: {
+    status: {
+      type: String,
+      enum: ['none', 'processing', 'ready', 'failed'],
+      default: 'none'
+    },
+    renditions: [{
+      _id: false,
+      name: String,
+      width: Number,
+      height: Number,
+      bandwidth: Number
+    }],
+    error: String,
+    generatedAt: Date
+  },
+  // Every file this video has had, including the current one (which is also
+  // mirrored in filename/storageKey/... above). Empty until the first replacement.
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    _id: false,
+    version: Number,
+    filename: String,
+    originalName: String,
+    storageKey: String,
+    fileSize: Number,
+    mimeType: String,
+    duration: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: Date
+  }],
+  // SHA-256 of the current file and dHashes of the sampled frames, used to
+  // spot re-uploads of the same content
+  fingerprint: {
+    sha256: String,
+    frameHashes: [String],
+    computedAt: Date
+  },
+  // Other videos in the organization this one appears to copy
+  duplicates: [{
+    _id: false,
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video'
+    },
+    title: String,
+    match: {
+      type: String,
+      enum: ['exact', 'near']
+    },
+    similarity: Number
+  }],
+  // Set when sampled frames matched the blocklist; the video is flagged
+  // without AI analysis
+  blocklistMatch: {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlockedContent'
+    },
+    sourceVideo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video'
+    },
+    sourceTitle: String,
+    reason: String,
+    matchedFrames: Number
+  },
+  // Set when an admin rejects the video before its frames were hashed;
+  // processVideo adds it to the blocklist once they are
+  pendingBlock: {
+    reason: String,
+    origin: String,
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Set on clips cut from another video
+  sourceVideo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  clip: {
+    start: Number,
+    end: Number
+  },
   metadata: {
     width: Number,
     height: Number,
     bitrate: Number,
     codec: String,
-    fps: Number
+    fps: Number,
+    pixelFormat: String,
+    rotation: Number,
+    audioCodec: String,
+    audioChannels: Number,
+    channelLayout: String,
+    sampleRate: Number,
+    container: String,
+    containerLongName: String
   }
 }, {
   timestamps: true
@@ -94,5 +223,7 @@ videoSchema.index({ uploadedBy: 1 });
 videoSchema.index({ processingStatus: 1 });
 videoSchema.index({ sensitivityStatus: 1 });
 videoSchema.index({ createdAt: -1 });
+videoSchema.index({ sourceVideo: 1 });
+videoSchema.index({ 'fingerprint.sha256': 1 });
 
 export default mongoose.model('Video', videoSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import {
+  getSamplingPoliciesController,
+  updateSamplingPolicyController,
+  deleteSamplingPolicyController,
+  getModerationPoliciesController,
+  updateModerationPolicyController,
+  deleteModerationPolicyController
+} from '../controllers/policyController.js';
+import { getStorageReportController } from '../controllers/storageController.js';
+import {
+  getBlocklistController,
+  addToBlocklistController,
+  deleteBlocklistEntryController
+} from '../controllers/blocklistController.js';
+import {
+  startRescanController,
+  getRescansController,
+  getRescanController
+} from '../controllers/rescanController.js';
+import {
+  getOrganizationQuotasController,
+  updateOrganizationQuotaController
+} from '../controllers/quotaController.js';
+
+const router = express.Router();
+
+router.get('/sampling-policies', requireRole(['admin']), getSamplingPoliciesController);
+router.put('/sampling-policies/:category', requireRole(['admin']), updateSamplingPolicyController);
+router.delete('/sampling-policies/:category', requireRole(['admin']), deleteSamplingPolicyController);
+router.get('/moderation-policies', requireRole(['admin']), getModerationPoliciesController);
+router.put('/moderation-policies/:category', requireRole(['admin']), updateModerationPolicyController);
+router.delete('/moderation-policies/:category', requireRole(['admin']), deleteModerationPolicyController);
+router.get('/storage/report', requireRole(['admin']), getStorageReportController);
+router.get('/blocklist', requireRole(['admin']), getBlocklistController);
+router.post('/blocklist', requireRole(['admin']), addToBlocklistController);
+router.delete('/blocklist/:id', requireRole(['admin']), deleteBlocklistEntryController);
+router.get('/rescans', requireRole(['admin']), getRescansController);
+router.post('/rescans', requireRole(['admin']), startRescanController);
+router.get('/rescans/:id', requireRole(['admin']), getRescanController);
+router.get('/organization-quotas', requireRole(['admin']), getOrganizationQuotasController);
+router.put('/organization-quotas/:organization', requireRole(['admin']), updateOrganizationQuotaController);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getSignedFileController } from '../controllers/storageController.js';
+
+const router = express.Router();
+
+// No authenticateToken: requests carry a signature from the local storage driver
+router.get('/:key', getSignedFileController);
+
+export default router;
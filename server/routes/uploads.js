@@ -0,0 +1,24 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  tusResumable,
+  tusOptionsController,
+  createUploadController,
+  getUploadOffsetController,
+  patchUploadController,
+  deleteUploadController
+} from '../controllers/tusController.js';
+
+const router = express.Router();
+
+router.use(tusResumable);
+// Capability discovery and CORS preflights carry no credentials
+router.options(['/', '/:id'], tusOptionsController);
+
+router.use(authenticateToken, requireRole(['editor', 'admin']));
+router.post('/', createUploadController);
+router.head('/:id', getUploadOffsetController);
+router.patch('/:id', patchUploadController);
+router.delete('/:id', deleteUploadController);
+
+export default router;
@@ -5,10 +5,18 @@ import {
   updateUserRoleController,
   deactivateUserController
 } from '../controllers/userController.js';
+import {
+  getMyQuotaController,
+  getUserQuotaController,
+  updateUserQuotaController
+} from '../controllers/quotaController.js';
 
 const router = express.Router();
 
 router.get('/', requireRole(['admin']), getAllUsersController);
+router.get('/me/quota', getMyQuotaController);
+router.get('/:id/quota', requireRole(['admin']), getUserQuotaController);
+router.put('/:id/quota', requireRole(['admin']), updateUserQuotaController);
 router.put('/:id/role', requireRole(['admin']), updateUserRoleController);
 router.put('/:id/deactivate', requireRole(['admin']), deactivateUserController);
 
@@ -1,24 +1,60 @@
 import express from 'express';
 import { uploadVideo } from '../middleware/upload.js';
+import { validateUploadedVideo } from '../middleware/validateVideo.js';
 import { requireRole } from '../middleware/auth.js';
+import { requireQuota } from '../middleware/quota.js';
 import {
   uploadVideoController,
+  importVideoController,
   getAllVideosController,
   getVideoController,
   streamVideoController,
   updateVideoController,
   deleteVideoController,
   rejectVideoController,
-  overrideVideoSafetyController
+  overrideVideoSafetyController,
+  reprocessVideoController,
+  cancelVideoController
 } from '../controllers/videoController.js';
+import {
+  getThumbnailController,
+  getStoryboardImageController,
+  getStoryboardVttController,
+  getPreviewController,
+  getHlsMasterController,
+  getHlsFileController
+} from '../controllers/mediaController.js';
+import {
+  getModerationReportController,
+  getModerationFrameController
+} from '../controllers/moderationController.js';
+import { createClipController } from '../controllers/clipController.js';
+import {
+  replaceVideoFileController,
+  rollbackVideoVersionController
+} from '../controllers/versionController.js';
 
 const router = express.Router();
 
-router.post('/upload', requireRole(['editor', 'admin']), uploadVideo, uploadVideoController);
+router.post('/upload', requireRole(['editor', 'admin']), requireQuota(), uploadVideo, validateUploadedVideo, uploadVideoController);
+router.post('/import', requireRole(['editor', 'admin']), requireQuota(), importVideoController);
 router.get('/', getAllVideosController);
 router.get('/:id', getVideoController);
 router.get('/:id/stream', streamVideoController);
+router.get('/:id/thumbnail', getThumbnailController);
+router.get('/:id/storyboard.jpg', getStoryboardImageController);
+router.get('/:id/storyboard.vtt', getStoryboardVttController);
+router.get('/:id/preview.mp4', getPreviewController);
+router.get('/:id/hls/master.m3u8', getHlsMasterController);
+router.get('/:id/hls/:rendition/:file', getHlsFileController);
 router.put('/:id', requireRole(['editor', 'admin']), updateVideoController);
+router.put('/:id/file', requireRole(['editor', 'admin']), requireQuota({ videos: 0 }), uploadVideo, validateUploadedVideo, replaceVideoFileController);
+router.post('/:id/versions/:version/rollback', requireRole(['admin']), rollbackVideoVersionController);
+router.get('/:id/moderation', requireRole(['admin']), getModerationReportController);
+router.get('/:id/moderation/frames/:frame', requireRole(['admin']), getModerationFrameController);
+router.post('/:id/clips', requireRole(['editor', 'admin']), requireQuota(), createClipController);
+router.post('/:id/reprocess', requireRole(['editor', 'admin']), reprocessVideoController);
+router.post('/:id/cancel', requireRole(['editor', 'admin']), cancelVideoController);
 router.put('/:id/override-safety', requireRole(['admin']), overrideVideoSafetyController);
 router.delete('/:id', requireRole(['editor']), deleteVideoController);
 router.put('/:id/reject', requireRole(['admin']), rejectVideoController);
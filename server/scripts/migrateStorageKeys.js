@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Video from '../models/Video.js';
+import { getStorage } from '../services/storage/index.js';
+
+dotenv.config();
+
+// One-off migration from absolute filePath values to storage keys.
+//   npm run migrate:storage -- [--dry-run] [--remove-local]
+// Each file is put into the configured storage under its file name. With the
+// s3 driver local files are kept unless --remove-local is given, so they can
+// be checked before being deleted. Safe to run again: migrated videos have no
+// filePath left and are skipped.
+
+const dryRun = process.argv.includes('--dry-run');
+const removeLocal = process.argv.includes('--remove-local');
+
+await connectDB();
+if (mongoose.connection.readyState !== 1) {
+  console.error('❌ Migration cannot start without a database connection');
+  process.exit(1);
+}
+
+const storage = getStorage();
+console.log(`📦 Migrating video files to ${storage.name} storage${dryRun ? ' (dry run)' : ''}`);
+
+// Read and written through the driver: filePath is no longer in the schema
+const cursor = Video.collection.find({ filePath: { $exists: true } });
+const seen = new Set();
+let migrated = 0;
+let missing = 0;
+
+// Puts one file into storage and resolves to its key. A file that is already
+// gone still gets a key, so the janitor reports the video as missing its file.
+const migrateFile = async (filePath, mimeType) => {
+  const key = path.basename(filePath);
+  if (seen.has(key)) return key;
+  seen.add(key);
+
+  if (await storage.stat(key)) return key;
+
+  if (!fs.existsSync(filePath)) {
+    console.warn(`⚠️ ${filePath} does not exist`);
+    missing++;
+    return key;
+  }
+
+  if (!dryRun) {
+    await storage.put(key, filePath, {
+      contentType: mimeType,
+      keepSource: storage.name !== 'local' && !removeLocal
+    });
+  }
+  console.log(`➡️ ${filePath} -> ${key}`);
+  return key;
+};
+
+for await (const video of cursor) {
+  try {
+    const storageKey = await migrateFile(video.filePath, video.mimeType);
+    const versions = [];
+    for (const { filePath, ...entry } of video.versions || []) {
+      versions.push(filePath ? { ...entry, storageKey: await migrateFile(filePath, entry.mimeType) } : entry);
+    }
+
+    if (!dryRun) {
+      await Video.collection.updateOne(
+        { _id: video._id },
+        { $set: { storageKey, versions }, $unset: { filePath: 1 } }
+      );
+    }
+    migrated++;
+  } catch (error) {
+    console.error(`❌ Failed to migrate video ${video._id}: ${error.message}`);
+  }
+}
+
+console.log(`✅ ${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} video(s); ${missing} file(s) were already missing`);
+await mongoose.disconnect();
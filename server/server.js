@@ -12,7 +12,14 @@ import connectDB from './config/database.js';
 import authRoutes from './routes/auth.js';
 import videoRoutes from './routes/videos.js';
 import userRoutes from './routes/users.js';
+import adminRoutes from './routes/admin.js';
+import uploadRoutes from './routes/uploads.js';
+import storageRoutes from './routes/storage.js';
 import { authenticateToken } from './middleware/auth.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { startJobWorker, stopJobWorker, recoverOrphanedVideos } from './services/jobQueue.js';
+import { attachMongoAdapter } from './services/socketBridge.js';
+import { startJanitor, stopJanitor } from './services/storageJanitor.js';
 
 dotenv.config();
 
@@ -43,9 +50,23 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Read by tus clients to resume uploads
+  exposedHeaders: [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Video-Id',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size'
+  ]
 };
 
+const RESUMABLE_UPLOAD_PATH = /^\/api\/uploads(\/|$)/;
+
 const io = new SocketIOServer(server, {
   cors: {
     origin: allowedOrigins.concat(["*"]), // Allow socket connections more broadly or match HTTP CORS
@@ -55,7 +76,35 @@ const io = new SocketIOServer(server, {
   }
 });
 
-connectDB();
+registerJobHandlers();
+
+// EMBEDDED_WORKER=false leaves processing to standalone workers (worker.js),
+// which publish their Socket.IO events through MongoDB
+const embeddedWorker = process.env.EMBEDDED_WORKER !== 'false';
+
+connectDB().then(async () => {
+  if (!embeddedWorker || process.env.SOCKET_ADAPTER === 'mongo') {
+    try {
+      await attachMongoAdapter(io);
+    } catch (error) {
+      console.error('Failed to attach Socket.IO MongoDB adapter:', error.message);
+    }
+  }
+
+  try {
+    await recoverOrphanedVideos();
+  } catch (error) {
+    console.error('Failed to recover orphaned videos:', error.message);
+  }
+
+  if (embeddedWorker) {
+    startJobWorker({ io });
+  } else {
+    console.log('👷 Embedded job worker disabled; run worker.js to process videos');
+  }
+
+  startJanitor();
+});
 
 app.use(helmet({
   contentSecurityPolicy: {
@@ -67,19 +116,25 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
   crossOriginResourcePolicy: { policy: "cross-origin" }
 }));
-app.use(cors(corsOptions));
+// tus answers OPTIONS itself with its capabilities, so preflights for
+// resumable uploads continue to the router
+app.use(cors((req, callback) => {
+  callback(null, { ...corsOptions, preflightContinue: RESUMABLE_UPLOAD_PATH.test(req.path) });
+}));
 
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100
+  max: 100,
+  // HLS players fetch a playlist and a segment every few seconds of playback,
+  // a large resumable upload is sent as many chunks, and players seeking
+  // through a signed storage URL send a range request per seek
+  skip: (req) => /^\/api\/videos\/[^/]+\/hls\//.test(req.path) || RESUMABLE_UPLOAD_PATH.test(req.path) || req.path.startsWith('/api/storage/')
 });
 app.use(limiter);
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Serve static files from React build in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/dist')));
@@ -92,7 +147,10 @@ app.use((req, res, next) => {
 
 app.use('/api/auth', authRoutes);
 app.use('/api/videos', authenticateToken, videoRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/storage', storageRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/admin', authenticateToken, adminRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -130,4 +188,18 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   
-});
\ No newline at end of file
+});
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  stopJanitor();
+  try {
+    await stopJobWorker();
+  } catch (error) {
+    console.error('Failed to release running jobs:', error.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
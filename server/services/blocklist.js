@@ -0,0 +1,72 @@
+import Video from '../models/Video.js';
+import BlockedContent from '../models/BlockedContent.js';
+import { isInformativeHash, hasNearMatch } from './fingerprint.js';
+
+const DEFAULT_MIN_MATCHES = 2;
+
+const getMinMatches = () => parseInt(process.env.BLOCKLIST_MIN_MATCHES) || DEFAULT_MIN_MATCHES;
+
+/**
+ * Adds the frame hashes of a fingerprinted video to the blocklist, replacing
+ * any earlier entry for the same video. Resolves to null when the video has
+ * no usable hashes (for example it never finished processing).
+ */
+export const blockVideoContent = async (video, { reason, origin, addedBy }) => {
+  const hashes = [...new Set((video.fingerprint?.frameHashes || []).filter(isInformativeHash))];
+  if (hashes.length === 0) return null;
+
+  return BlockedContent.findOneAndUpdate(
+    { sourceVideo: video._id },
+    { hashes, reason, origin, addedBy, sourceVideo: video._id, sourceTitle: video.title },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * For a video that is still being processed: keeps the block on the video so
+ * processVideo can apply it once the frame hashes are stored. Resolves to
+ * false when the hashes are already there and the block can be applied now.
+ */
+export const deferVideoBlock = async (videoId, { reason, origin, addedBy }) => {
+  const stored = await Video.findOneAndUpdate(
+    { _id: videoId, 'fingerprint.frameHashes.0': { $exists: false } },
+    { pendingBlock: { reason, origin, addedBy } }
+  );
+  return !!stored;
+};
+
+// Called by processVideo with the video as it was when its hashes were stored
+export const applyPendingBlock = async (video) => {
+  const entry = await blockVideoContent(video, video.pendingBlock);
+  await Video.updateOne({ _id: video._id }, { $unset: { pendingBlock: 1 } });
+  console.log(entry
+    ? `⛔ Content of rejected video ${video._id} added to the blocklist`
+    : `⚠️ Rejected video ${video._id} has no usable frame hashes to block`);
+  return entry;
+};
+
+/**
+ * Checks hashed frames against every blocklist entry. An entry matches when
+ * at least BLOCKLIST_MIN_MATCHES frames (or all of a shorter entry) are near
+ * one of its hashes. Resolves to { entry, frames } for the strongest match,
+ * or null.
+ */
+export const findBlocklistMatch = async (hashedFrames, { excludeVideo } = {}) => {
+  const frames = hashedFrames.filter(frame => isInformativeHash(frame.hash));
+  if (frames.length === 0) return null;
+
+  const filter = excludeVideo ? { sourceVideo: { $ne: excludeVideo } } : {};
+  const entries = await BlockedContent.find(filter).select('hashes reason sourceVideo sourceTitle').lean();
+
+  let best = null;
+  for (const entry of entries) {
+    const matched = frames.filter(frame => hasNearMatch(frame.hash, entry.hashes));
+    const required = Math.min(getMinMatches(), entry.hashes.length);
+
+    if (matched.length >= required && matched.length > (best?.frames.length || 0)) {
+      best = { entry, frames: matched };
+    }
+  }
+
+  return best;
+};
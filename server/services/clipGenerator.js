@@ -0,0 +1,42 @@
+import fs from 'fs';
+import ffmpeg, { bindAbortSignal, getProgressFraction } from './ffmpeg.js';
+
+/**
+ * Cuts [start, end) out of sourcePath into outputPath as H.264/AAC MP4.
+ * The clip is re-encoded rather than stream-copied so it starts exactly at
+ * the in point instead of the preceding keyframe. Output is written to a
+ * .part file and renamed once complete, so a killed run never leaves a
+ * truncated clip behind.
+ */
+export const cutClip = (sourcePath, outputPath, { start, end, hasAudio = true, onProgress, signal } = {}) => {
+  const partPath = `${outputPath}.part`;
+  const length = end - start;
+
+  return new Promise((resolve, reject) => {
+    const command = bindAbortSignal(ffmpeg(sourcePath), signal)
+      .seekInput(start)
+      .duration(length)
+      .videoCodec('libx264')
+      .outputOptions(['-preset veryfast', '-crf 20', '-movflags +faststart'])
+      .format('mp4');
+
+    if (hasAudio) {
+      command.audioCodec('aac').audioBitrate(128);
+    } else {
+      command.noAudio();
+    }
+
+    command
+      .on('progress', (progress) => onProgress?.(getProgressFraction(progress, length)))
+      .on('end', () => {
+        fs.renameSync(partPath, outputPath);
+        resolve(fs.statSync(outputPath).size);
+      })
+      .on('error', (err) => {
+        fs.rmSync(partPath, { force: true });
+        reject(err);
+      })
+      .output(partPath)
+      .run();
+  });
+};
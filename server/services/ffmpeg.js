@@ -0,0 +1,118 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import ffprobeStatic from 'ffprobe-static';
+
+// Set ffmpeg/ffprobe paths once for every module that shells out to them
+ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegStatic);
+ffmpeg.setFfprobePath(process.env.FFPROBE_PATH || ffprobeStatic.path);
+
+const parseFrameRate = (rate) => {
+  if (!rate || rate === '0/0') return undefined;
+  const [num, den] = rate.split('/').map(Number);
+  if (!den) return num || undefined;
+  return Math.round((num / den) * 100) / 100;
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Rotation lives in a 'rotate' tag on older muxers and in the display matrix
+// side data on newer ones; normalise to 0/90/180/270.
+const getRotation = (stream) => {
+  const tagRotation = toNumber(stream.tags?.rotate);
+  const matrix = stream.side_data_list?.find(data => data.rotation !== undefined);
+  const rotation = tagRotation ?? toNumber(matrix?.rotation) ?? 0;
+  return ((Math.round(rotation) % 360) + 360) % 360;
+};
+
+export const parseProbeData = (data) => {
+  const { streams = [], format = {} } = data;
+  const videoStream = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+  const duration = toNumber(format.duration) ?? toNumber(videoStream?.duration) ?? 0;
+
+  return {
+    duration: Math.round(duration * 100) / 100,
+    hasVideo: !!videoStream,
+    hasAudio: !!audioStream,
+    metadata: {
+      width: videoStream?.width,
+      height: videoStream?.height,
+      bitrate: toNumber(format.bit_rate) ?? toNumber(videoStream?.bit_rate),
+      codec: videoStream?.codec_name,
+      fps: parseFrameRate(videoStream?.avg_frame_rate) ?? parseFrameRate(videoStream?.r_frame_rate),
+      pixelFormat: videoStream?.pix_fmt,
+      rotation: videoStream ? getRotation(videoStream) : 0,
+      audioCodec: audioStream?.codec_name,
+      audioChannels: audioStream?.channels,
+      channelLayout: audioStream?.channel_layout,
+      sampleRate: toNumber(audioStream?.sample_rate),
+      container: format.format_name,
+      containerLongName: format.format_long_name
+    }
+  };
+};
+
+export const probeVideo = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) => {
+      if (err) {
+        // A file ffprobe cannot read will not get better on retry
+        err.transient = false;
+        return reject(err);
+      }
+      resolve(parseProbeData(data));
+    });
+  });
+};
+
+// Decodes an image (or the first frame of a video) to raw pixels scaled to
+// width x height. pixelFormat 'rgb24' gives 3 bytes per pixel, 'gray' gives 1.
+export const decodePixels = (inputPath, { width, height, pixelFormat = 'rgb24', signal }) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    const command = bindAbortSignal(ffmpeg(inputPath), signal);
+    const stream = command
+      .frames(1)
+      .outputOptions([`-vf scale=${width}:${height}`, `-pix_fmt ${pixelFormat}`])
+      .format('rawvideo')
+      .on('error', (err) => reject(err))
+      .pipe();
+
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', (err) => reject(err));
+  });
+};
+
+// Kills the ffmpeg process when signal aborts. fluent-ffmpeg ignores kill()
+// before the process has spawned, so 'start' re-checks the signal.
+export const bindAbortSignal = (command, signal) => {
+  if (!signal) return command;
+
+  const abort = () => command.kill('SIGKILL');
+  const release = () => signal.removeEventListener('abort', abort);
+
+  signal.addEventListener('abort', abort, { once: true });
+  return command
+    .on('start', () => { if (signal.aborted) abort(); })
+    .on('end', release)
+    .on('error', release);
+};
+
+// fluent-ffmpeg's own percent is unreliable with seeking, frame limits and
+// multiple outputs, so measure the timemark against the known duration instead
+export const getProgressFraction = (progress, duration) => {
+  if (!duration || !progress?.timemark) return 0;
+  const seconds = progress.timemark
+    .split(':')
+    .reduce((total, part) => total * 60 + Number(part), 0);
+  if (!Number.isFinite(seconds)) return 0;
+  return Math.min(Math.max(seconds / duration, 0), 1);
+};
+
+export default ffmpeg;
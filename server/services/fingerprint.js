@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Video from '../models/Video.js';
+import User from '../models/User.js';
+import { decodePixels } from './ffmpeg.js';
+
+// dHash: a 9x8 grayscale thumbnail gives 8 horizontal gradients per row, 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+// Bits that may differ for two frames to count as the same picture
+export const MAX_FRAME_DISTANCE = 10;
+// Flat frames (black, white, title cards) hash to almost all zeros or ones and
+// would match each other across unrelated videos
+const MIN_INFORMATIVE_BITS = 8;
+// Too few frames make any overlap look like a match
+const MIN_FRAMES_FOR_NEAR_MATCH = 3;
+// Near-duplicates are only looked for among videos between half and twice
+// as long, so a heavy trim is not caught
+const NEAR_MATCH_DURATION_RATIO = 2;
+
+const getConfig = () => ({
+  policy: ['warn', 'reject', 'off'].includes(process.env.DUPLICATE_POLICY) ? process.env.DUPLICATE_POLICY : 'warn',
+  similarity: parseFloat(process.env.DUPLICATE_SIMILARITY) || 0.8,
+  maxCandidates: parseInt(process.env.DUPLICATE_MAX_CANDIDATES) || 200
+});
+
+export const getDuplicatePolicy = () => getConfig().policy;
+
+export const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+};
+
+// Each bit records whether a pixel is brighter than its right-hand neighbour,
+// which survives re-encoding, scaling and small colour shifts
+export const computeDifferenceHash = (pixels) => {
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+export const hashFrame = async (imagePath, { signal } = {}) => {
+  const pixels = await decodePixels(imagePath, { width: HASH_WIDTH, height: HASH_HEIGHT, pixelFormat: 'gray', signal });
+  return computeDifferenceHash(pixels);
+};
+
+const countBits = (value) => {
+  let count = 0;
+  while (value > 0n) {
+    count += Number(value & 1n);
+    value >>= 1n;
+  }
+  return count;
+};
+
+export const hammingDistance = (a, b) => countBits(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+
+export const isInformativeHash = (hash) => {
+  const bits = countBits(BigInt(`0x${hash}`));
+  return bits >= MIN_INFORMATIVE_BITS && bits <= 64 - MIN_INFORMATIVE_BITS;
+};
+
+export const hasNearMatch = (hash, hashes) => hashes.some(other => hammingDistance(hash, other) <= MAX_FRAME_DISTANCE);
+
+/**
+ * Share of frames in the shorter sequence that have a near-identical frame
+ * anywhere in the other one. Order is ignored so a re-cut or trimmed copy
+ * still matches.
+ */
+export const compareFrameHashes = (a, b) => {
+  const [shorter, longer] = [a.filter(isInformativeHash), b.filter(isInformativeHash)]
+    .sort((x, y) => x.length - y.length);
+  if (shorter.length < MIN_FRAMES_FOR_NEAR_MATCH) return 0;
+
+  const matched = shorter.filter(hash => hasNearMatch(hash, longer));
+  return matched.length / shorter.length;
+};
+
+/**
+ * Fingerprints a video from the frames already extracted for moderation, so
+ * no extra decoding pass is needed. A frame that cannot be hashed is skipped.
+ * sha256 is reused when the upload already computed it. hashedFrames pairs
+ * each hash with the frame it came from.
+ */
+export const fingerprintVideo = async (filePath, framesDir, frames, { sha256, onProgress, signal } = {}) => {
+  const fileHash = sha256 || await hashFile(filePath);
+
+  const hashedFrames = [];
+  for (const [index, frame] of frames.entries()) {
+    try {
+      hashedFrames.push({ ...frame, hash: await hashFrame(path.join(framesDir, frame.file), { signal }) });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`⚠️ Could not hash frame ${frame.file}: ${error.message}`);
+    }
+    onProgress?.((index + 1) / frames.length);
+  }
+
+  return { sha256: fileHash, frameHashes: hashedFrames.map(frame => frame.hash), hashedFrames };
+};
+
+// Videos owned by anyone in the uploader's organization; users without one
+// are only compared against their own uploads
+const getOrganizationFilter = async (userId) => {
+  const user = await User.findById(userId).select('organization').lean();
+  if (!user?.organization) {
+    return { uploadedBy: userId };
+  }
+  const members = await User.find({ organization: user.organization }).select('_id').lean();
+  return { uploadedBy: { $in: members.map(member => member._id) } };
+};
+
+/**
+ * Finds videos in the same organization that are exact (same SHA-256) or
+ * near (similar frame hashes) copies of video. Clips and their source are not
+ * duplicates of each other. Resolves to [{ video, title, match, similarity }].
+ */
+export const findDuplicates = async (video, { sha256, frameHashes = [] }) => {
+  const { similarity: minSimilarity, maxCandidates } = getConfig();
+
+  // Failed and cancelled uploads must not keep the same file from being
+  // uploaded again
+  const filter = {
+    ...(await getOrganizationFilter(video.uploadedBy)),
+    _id: { $nin: [video._id, video.sourceVideo].filter(Boolean) },
+    sourceVideo: { $ne: video._id },
+    processingStatus: { $in: ['completed', 'processing', 'pending'] }
+  };
+
+  const duplicates = [];
+
+  if (sha256) {
+    const exact = await Video.find({ ...filter, 'fingerprint.sha256': sha256 }).select('_id title').lean();
+    for (const candidate of exact) {
+      duplicates.push({ video: candidate._id, title: candidate.title, match: 'exact', similarity: 1 });
+    }
+  }
+
+  // Before frames are extracted only the exact hash can be compared. Frame
+  // comparison is costly, so only the most recent similar-length videos are checked.
+  if (frameHashes.length >= MIN_FRAMES_FOR_NEAR_MATCH) {
+    const nearFilter = {
+      ...filter,
+      _id: { $nin: [...filter._id.$nin, ...duplicates.map(duplicate => duplicate.video)] },
+      'fingerprint.frameHashes.0': { $exists: true }
+    };
+    if (video.duration > 0) {
+      nearFilter.duration = { $gte: video.duration / NEAR_MATCH_DURATION_RATIO, $lte: video.duration * NEAR_MATCH_DURATION_RATIO };
+    }
+
+    const candidates = await Video.find(nearFilter)
+      .select('_id title fingerprint.frameHashes')
+      .sort({ createdAt: -1 })
+      .limit(maxCandidates)
+      .lean();
+
+    for (const candidate of candidates) {
+      const similarity = compareFrameHashes(frameHashes, candidate.fingerprint.frameHashes || []);
+      if (similarity >= minSimilarity) {
+        duplicates.push({ video: candidate._id, title: candidate.title, match: 'near', similarity: Math.round(similarity * 100) / 100 });
+      }
+    }
+  }
+
+  return duplicates.sort((a, b) => b.similarity - a.similarity);
+};
@@ -0,0 +1,105 @@
+import SamplingPolicy from '../models/SamplingPolicy.js';
+import ffmpeg, { getProgressFraction, bindAbortSignal } from './ffmpeg.js';
+
+export const DEFAULT_SAMPLING_POLICY = {
+  category: 'default',
+  minSamples: 5,
+  maxSamples: 60,
+  samplesPerMinute: 2,
+  sceneDetection: true,
+  sceneThreshold: 0.3
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const getSamplingPolicy = async (category) => {
+  const policies = await SamplingPolicy.find({ category: { $in: [category, 'default'] } }).lean();
+  return policies.find(policy => policy.category === category) ||
+    policies.find(policy => policy.category === 'default') ||
+    DEFAULT_SAMPLING_POLICY;
+};
+
+export const getSampleCount = (duration, policy) => {
+  const scaled = Math.round((duration / 60) * policy.samplesPerMinute);
+  return Math.min(Math.max(scaled, policy.minSamples), policy.maxSamples);
+};
+
+// Timestamps at the centre of count equal slices, so the first and last
+// samples never land on a fade-in or the closing frame
+export const getUniformTimestamps = (duration, count) => {
+  return Array.from({ length: count }, (_, i) => round(duration * (i + 0.5) / count));
+};
+
+/**
+ * Runs ffmpeg's scene filter over a downscaled copy of the video and resolves
+ * to the times (in seconds) where the picture changes by more than threshold.
+ */
+export const detectSceneChanges = (videoPath, threshold, { duration, onProgress, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const times = [];
+
+    bindAbortSignal(ffmpeg(videoPath), signal)
+      .videoFilters(['scale=320:-2', `select='gt(scene,${threshold})'`, 'showinfo'])
+      .noAudio()
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        const match = line.match(/pts_time:\s*([\d.]+)/);
+        if (match) times.push(round(parseFloat(match[1])));
+      })
+      .on('progress', (progress) => onProgress?.(getProgressFraction(progress, duration)))
+      .on('end', () => resolve(times))
+      .on('error', (err) => reject(err))
+      .run();
+  });
+};
+
+// Picks count items spread evenly across a sorted list
+const spreadPick = (items, count) => {
+  if (items.length <= count) return items;
+  return Array.from({ length: count }, (_, i) => items[Math.floor((i + 0.5) * items.length / count)]);
+};
+
+/**
+ * Combines scene cuts with uniform coverage. Scene cuts may use up to half the
+ * budget; uniform timestamps fill the rest, skipping any that sit too close to
+ * an already chosen sample.
+ */
+export const planSampleTimestamps = (duration, sceneTimes, count) => {
+  if (duration <= 0) return [];
+
+  const minGap = duration / (count * 2);
+  const scenes = spreadPick(
+    sceneTimes.filter(time => time > 0 && time < duration).sort((a, b) => a - b),
+    Math.floor(count / 2)
+  );
+
+  const chosen = [...scenes];
+  for (const time of getUniformTimestamps(duration, count)) {
+    if (chosen.length >= count) break;
+    if (chosen.every(existing => Math.abs(existing - time) >= minGap)) {
+      chosen.push(time);
+    }
+  }
+
+  return chosen.sort((a, b) => a - b);
+};
+
+export const planFrameSamples = async (videoPath, duration, category, { onProgress, signal } = {}) => {
+  const policy = await getSamplingPolicy(category);
+  const count = getSampleCount(duration, policy);
+
+  let sceneTimes = [];
+  if (policy.sceneDetection && duration > 0) {
+    try {
+      sceneTimes = await detectSceneChanges(videoPath, policy.sceneThreshold, { duration, onProgress, signal });
+      console.log(`🎬 Detected ${sceneTimes.length} scene change(s)`);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Uniform sampling alone is still a valid plan
+      console.error(`⚠️ Scene detection failed: ${error.message}`);
+    }
+  }
+
+  return planSampleTimestamps(duration, sceneTimes, count);
+};
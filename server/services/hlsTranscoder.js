@@ -0,0 +1,122 @@
+import path from 'path';
+import fs from 'fs';
+import ffmpeg, { bindAbortSignal } from './ffmpeg.js';
+
+// Bitrates follow common ABR ladder recommendations for H.264
+const HLS_LADDER = [
+  { height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { height: 480, videoBitrate: 1000, audioBitrate: 96 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { height: 1080, videoBitrate: 5000, audioBitrate: 128 }
+];
+
+const SEGMENT_SECONDS = 6;
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// ffmpeg auto-rotates, so ladder decisions use the displayed dimensions
+const getDisplaySize = ({ width, height, rotation }) => {
+  return rotation === 90 || rotation === 270
+    ? { width: height, height: width }
+    : { width, height };
+};
+
+export const buildLadder = (metadata) => {
+  const source = getDisplaySize(metadata);
+  if (!source.width || !source.height) {
+    throw Object.assign(new Error('Source resolution unknown; cannot build HLS ladder'), { transient: false });
+  }
+
+  const aspect = source.width / source.height;
+  let rungs = HLS_LADDER.filter(rung => rung.height <= source.height);
+
+  // Sources smaller than the lowest rung still get a single rendition at native size
+  if (rungs.length === 0) {
+    rungs = [{ ...HLS_LADDER[0], height: toEven(source.height) }];
+  }
+
+  return rungs.map(rung => ({
+    ...rung,
+    name: `${rung.height}p`,
+    width: toEven(rung.height * aspect)
+  }));
+};
+
+const transcodeRendition = (videoPath, outputDir, rendition, { hasAudio, onProgress, signal }) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    const command = bindAbortSignal(ffmpeg(videoPath), signal)
+      .videoCodec('libx264')
+      .outputOptions([
+        '-preset veryfast',
+        '-profile:v main',
+        `-vf scale=${rendition.width}:${rendition.height}`,
+        `-b:v ${rendition.videoBitrate}k`,
+        `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize ${rendition.videoBitrate * 2}k`,
+        // Keyframes on segment boundaries so every rendition switches cleanly
+        `-force_key_frames expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+        '-f hls',
+        `-hls_time ${SEGMENT_SECONDS}`,
+        '-hls_playlist_type vod',
+        '-hls_segment_filename', path.join(outputDir, 'segment-%03d.ts')
+      ]);
+
+    if (hasAudio) {
+      command.audioCodec('aac').audioBitrate(rendition.audioBitrate).audioChannels(2);
+    } else {
+      command.noAudio();
+    }
+
+    command
+      .on('progress', (progress) => onProgress?.(progress))
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .output(path.join(outputDir, 'index.m3u8'))
+      .run();
+  });
+};
+
+export const buildMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const rendition of renditions) {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+    lines.push(`${rendition.name}/index.m3u8`);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Transcodes every rung of the ladder into outputDir/<name>/ and writes
+ * outputDir/master.m3u8 last, so a half-finished ladder is never advertised.
+ */
+export const transcodeToHls = async (videoPath, outputDir, { metadata, hasAudio = true, onProgress, signal } = {}) => {
+  const renditions = buildLadder(metadata);
+
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  for (const [index, rendition] of renditions.entries()) {
+    console.log(`🎞️ Transcoding ${rendition.name} rendition`);
+    await transcodeRendition(videoPath, path.join(outputDir, rendition.name), rendition, {
+      hasAudio,
+      signal,
+      onProgress: (progress) => {
+        onProgress?.({ rendition: rendition.name, index, total: renditions.length, ...progress });
+      }
+    });
+  }
+
+  fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions));
+
+  return renditions.map(({ name, width, height, videoBitrate, audioBitrate }) => ({
+    name,
+    width,
+    height,
+    bandwidth: (videoBitrate + audioBitrate) * 1000
+  }));
+};
@@ -0,0 +1,46 @@
+import { registerJobHandler } from './jobQueue.js';
+import {
+  processVideo,
+  handleProcessingFailure,
+  createClip,
+  transcodeVideo,
+  handleTranscodeFailure,
+  handleTranscodeCancelled,
+  rescanVideo
+} from './videoProcessor.js';
+import { recordRescanResult } from './rescanner.js';
+import { importVideo, handleImportFailure } from './urlImporter.js';
+
+export const registerJobHandlers = () => {
+  registerJobHandler('processVideo', {
+    handle: (job, { io, signal }) => processVideo(job.payload.videoId, io, { signal }),
+    onFailed: (job, error, { io }) => handleProcessingFailure(job.payload.videoId, io, error)
+  });
+
+  // Clips share processVideo's failure handling: both leave the video 'failed'
+  registerJobHandler('createClip', {
+    handle: (job, { io, signal }) => createClip(job.payload.videoId, io, { signal }),
+    onFailed: (job, error, { io }) => handleProcessingFailure(job.payload.videoId, io, error)
+  });
+
+  registerJobHandler('transcodeVideo', {
+    handle: (job, { io, signal }) => transcodeVideo(job.payload.videoId, io, { signal }),
+    onFailed: (job, error) => handleTranscodeFailure(job.payload.videoId, error),
+    onCancelled: (job) => handleTranscodeCancelled(job.payload.videoId)
+  });
+
+  // Each job reports back to its re-scan run, whether it succeeded or not
+  registerJobHandler('rescanVideo', {
+    handle: async (job, { io, signal }) => {
+      const result = await rescanVideo(job.payload.videoId, { signal, includeOverridden: job.payload.includeOverridden });
+      await recordRescanResult(job.payload.rescanId, job.payload.videoId, result, io);
+    },
+    onFailed: (job, error, { io }) => recordRescanResult(job.payload.rescanId, job.payload.videoId, null, io),
+    onCancelled: (job, { io }) => recordRescanResult(job.payload.rescanId, job.payload.videoId, null, io)
+  });
+
+  registerJobHandler('importVideo', {
+    handle: importVideo,
+    onFailed: handleImportFailure
+  });
+};
@@ -0,0 +1,364 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import Video from '../models/Video.js';
+import { getStorage } from './storage/index.js';
+
+const handlers = new Map();
+// jobId -> { job, controller, done }
+const activeJobs = new Map();
+
+const workerId = `${os.hostname()}-${process.pid}`;
+
+let workerOptions = null;
+let pollTimer = null;
+let stopping = false;
+
+const getConfig = () => ({
+  concurrency: parseInt(process.env.PROCESSING_CONCURRENCY) || 2,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  leaseMs: parseInt(process.env.JOB_LEASE_MS) || 60000,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  backoffMs: parseInt(process.env.JOB_BACKOFF_MS) || 5000
+});
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'EBUSY', 'EMFILE'];
+
+// Handlers can force a decision by setting error.transient; otherwise we guess
+// from network/database error shapes and rate limit responses.
+export const isTransientError = (error) => {
+  if (typeof error?.transient === 'boolean') return error.transient;
+  if (TRANSIENT_ERROR_CODES.includes(error?.code)) return true;
+  if (['MongoNetworkError', 'MongoServerSelectionError', 'MongoNetworkTimeoutError'].includes(error?.name)) return true;
+
+  const message = error?.message || '';
+  return message.includes('429') || message.includes('quota') || message.includes('timed out');
+};
+
+// Handlers call this between steps; work that can be interrupted mid-step
+// (ffmpeg, HTTP requests) should listen to the signal directly.
+export const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw Object.assign(new Error('Job cancelled'), { cancelled: true, transient: false });
+  }
+};
+
+const getBackoffDelay = (attempts) => {
+  const { backoffMs } = getConfig();
+  return Math.min(backoffMs * Math.pow(2, Math.max(attempts - 1, 0)), 10 * 60 * 1000);
+};
+
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || getConfig().maxAttempts,
+    runAt: options.runAt || new Date(),
+    priority: options.priority || 0
+  });
+
+  console.log(`📥 Queued ${type} job ${job._id}`);
+  schedulePoll(0);
+  return job;
+};
+
+// Background jobs never take the last free slot, so a long batch of them
+// cannot hold up new uploads
+const claimNextJob = async () => {
+  const { leaseMs, concurrency } = getConfig();
+  const now = new Date();
+  const background = [...activeJobs.values()].filter(({ job }) => job.priority > 0).length;
+  const urgentOnly = concurrency > 1 && background >= concurrency - 1;
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      ...(urgentOnly && { priority: { $not: { $gt: 0 } } }),
+      $or: [
+        { state: 'queued', runAt: { $lte: now } },
+        // Lease expired: the worker that held it died or lost its connection
+        { state: 'running', lockedUntil: { $lt: now }, cancelRequested: { $ne: true } }
+      ]
+    },
+    {
+      $set: {
+        state: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        heartbeatAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    // Jobs from before priorities existed have none and sort first
+    { sort: { priority: 1, runAt: 1 }, new: true }
+  );
+};
+
+const startHeartbeat = (job, controller) => {
+  const { leaseMs } = getConfig();
+
+  return setInterval(async () => {
+    try {
+      const now = new Date();
+      const current = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId, state: 'running' },
+        { $set: { heartbeatAt: now, lockedUntil: new Date(now.getTime() + leaseMs) } },
+        { projection: { cancelRequested: 1 } }
+      );
+
+      if (!current) {
+        console.warn(`⚠️ Lost lease on job ${job._id}`);
+      } else if (current.cancelRequested && !controller.signal.aborted) {
+        console.log(`🛑 Cancel requested for job ${job._id}`);
+        controller.abort();
+      }
+    } catch (error) {
+      console.error(`❌ Heartbeat failed for job ${job._id}:`, error.message);
+    }
+  }, Math.max(Math.floor(leaseMs / 3), 1000));
+};
+
+const failJob = async (job, handler, error) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: { state: 'failed', lastError: error.message, completedAt: new Date() },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+
+  console.error(`❌ Job ${job._id} (${job.type}) failed after ${job.attempts} attempt(s): ${error.message}`);
+
+  if (handler?.onFailed) {
+    try {
+      await handler.onFailed(job, error, workerOptions);
+    } catch (hookError) {
+      console.error(`❌ onFailed hook for job ${job._id} threw:`, hookError.message);
+    }
+  }
+};
+
+// The API may cancel jobs without running a worker of its own
+const runCancelledHook = async (job, handler) => {
+  if (!handler?.onCancelled) return;
+  try {
+    await handler.onCancelled(job, workerOptions || {});
+  } catch (hookError) {
+    console.error(`❌ onCancelled hook for job ${job._id} threw:`, hookError.message);
+  }
+};
+
+const cancelRunningJob = async (job, handler) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: { state: 'cancelled', completedAt: new Date() },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+
+  console.log(`🛑 Job ${job._id} (${job.type}) cancelled`);
+  await runCancelledHook(job, handler);
+};
+
+const runJob = async (job, controller) => {
+  const handler = handlers.get(job.type);
+  const heartbeat = startHeartbeat(job, controller);
+
+  try {
+    if (job.attempts > job.maxAttempts) {
+      throw Object.assign(new Error('Maximum attempts exceeded'), { transient: false });
+    }
+
+    console.log(`⚙️ Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    await handler.handle(job, { ...workerOptions, signal: controller.signal });
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      {
+        $set: { state: 'completed', completedAt: new Date() },
+        $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1 }
+      }
+    );
+  } catch (error) {
+    // A killed ffmpeg or aborted request surfaces as an ordinary error
+    if (controller.signal.aborted) {
+      await cancelRunningJob(job, handler).catch(err =>
+        console.error(`❌ Failed to mark job ${job._id} as cancelled:`, err.message)
+      );
+    } else if (isTransientError(error) && job.attempts < job.maxAttempts) {
+      const delay = getBackoffDelay(job.attempts);
+      console.warn(`🔁 Job ${job._id} hit a transient error, retrying in ${delay}ms: ${error.message}`);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: workerId },
+        {
+          $set: { state: 'queued', runAt: new Date(Date.now() + delay), lastError: error.message },
+          $unset: { lockedBy: 1, lockedUntil: 1 }
+        }
+      ).catch(err => console.error(`❌ Failed to requeue job ${job._id}:`, err.message));
+    } else {
+      await failJob(job, handler, error).catch(err =>
+        console.error(`❌ Failed to mark job ${job._id} as failed:`, err.message)
+      );
+    }
+  } finally {
+    clearInterval(heartbeat);
+    activeJobs.delete(String(job._id));
+    schedulePoll(0);
+  }
+};
+
+const poll = async () => {
+  pollTimer = null;
+  if (!workerOptions || stopping) return;
+
+  const { concurrency, pollIntervalMs } = getConfig();
+
+  try {
+    while (activeJobs.size < concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      const controller = new AbortController();
+      activeJobs.set(String(job._id), { job, controller, done: runJob(job, controller) });
+    }
+  } catch (error) {
+    console.error('❌ Job polling failed:', error.message);
+  }
+
+  schedulePoll(pollIntervalMs);
+};
+
+const schedulePoll = (delay) => {
+  if (!workerOptions || stopping) return;
+  if (pollTimer) {
+    if (delay > 0) return;
+    clearTimeout(pollTimer);
+  }
+  pollTimer = setTimeout(poll, delay);
+};
+
+export const startJobWorker = (options = {}) => {
+  workerOptions = options;
+  stopping = false;
+  console.log(`👷 Job worker ${workerId} started (concurrency ${getConfig().concurrency})`);
+  schedulePoll(0);
+};
+
+/**
+ * Cancels every queued or running job matching filter (e.g. { 'payload.videoId': id }).
+ * Queued jobs are cancelled outright and get their onCancelled hook. Running
+ * jobs held by this process are aborted and awaited; those held by other
+ * workers are flagged and stop on their next heartbeat. With waitForRemote,
+ * also waits (at most one lease) for those to let go. Resolves to the number of jobs affected.
+ */
+export const cancelJobs = async (filter, { waitForRemote = false } = {}) => {
+  const now = new Date();
+  const idle = { $or: [{ state: 'queued' }, { state: 'running', lockedUntil: { $lt: now } }] };
+
+  // One at a time, so a job a worker claims in the meantime is left to the
+  // running branch below and its hook is not called twice
+  let cancelledQueued = 0;
+  for (const job of await Job.find({ ...filter, ...idle })) {
+    const { modifiedCount } = await Job.updateOne(
+      { _id: job._id, ...idle },
+      { $set: { state: 'cancelled', completedAt: now }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+    );
+    if (modifiedCount === 0) continue;
+
+    cancelledQueued++;
+    await runCancelledHook(job, handlers.get(job.type));
+  }
+
+  const running = await Job.find({ ...filter, state: 'running' }).select('_id');
+  if (running.length > 0) {
+    await Job.updateMany(
+      { _id: { $in: running.map(job => job._id) } },
+      { $set: { cancelRequested: true } }
+    );
+  }
+
+  const local = running
+    .map(job => activeJobs.get(String(job._id)))
+    .filter(Boolean);
+
+  for (const { controller } of local) {
+    controller.abort();
+  }
+  await Promise.all(local.map(({ done }) => done));
+
+  if (waitForRemote && local.length < running.length) {
+    await waitForJobsToStop(filter);
+  }
+
+  return cancelledQueued + running.length;
+};
+
+// A flagged job is done once it leaves 'running' or its lease runs out (its
+// worker is gone). Gives up after one lease length.
+const waitForJobsToStop = async (filter) => {
+  const deadline = Date.now() + getConfig().leaseMs;
+
+  while (Date.now() < deadline) {
+    const stillRunning = await Job.exists({ ...filter, state: 'running', lockedUntil: { $gte: new Date() } });
+    if (!stillRunning) return;
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  console.warn(`⚠️ Jobs matching ${JSON.stringify(filter)} are still running after one lease`);
+};
+
+// Hands running jobs back to the queue so the next worker picks them up
+// immediately instead of waiting for the lease to expire.
+export const stopJobWorker = async () => {
+  stopping = true;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  const ids = [...activeJobs.keys()];
+  if (ids.length > 0) {
+    await Job.updateMany(
+      { _id: { $in: ids }, lockedBy: workerId, state: 'running' },
+      {
+        $set: { state: 'queued', runAt: new Date() },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+        $inc: { attempts: -1 }
+      }
+    );
+    console.log(`👋 Released ${ids.length} running job(s)`);
+  }
+};
+
+// Videos left 'pending' or 'processing' without a live job were orphaned by a
+// restart (or uploaded before the queue existed) and need to be requeued.
+// A clip whose file was never cut goes back to 'createClip'.
+export const recoverOrphanedVideos = async () => {
+  const videos = await Video.find({ processingStatus: { $in: ['pending', 'processing'] } }).select('_id storageKey clip');
+  let recovered = 0;
+
+  for (const video of videos) {
+    const videoId = String(video._id);
+    const liveJob = await Job.exists({
+      type: { $in: ['processVideo', 'createClip'] },
+      'payload.videoId': videoId,
+      state: { $in: ['queued', 'running'] }
+    });
+
+    if (!liveJob) {
+      const type = video.clip?.end && !(await getStorage().stat(video.storageKey)) ? 'createClip' : 'processVideo';
+      await Video.findByIdAndUpdate(videoId, { processingStatus: 'pending', processingProgress: 0, $unset: { processingStage: 1 } });
+      await enqueueJob(type, { videoId });
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`♻️ Requeued ${recovered} orphaned video(s)`);
+  }
+  return recovered;
+};
@@ -0,0 +1,5 @@
+// Content classes every provider maps its own labels onto
+export const MODERATION_CATEGORIES = ['nudity', 'sexual_activity', 'violence', 'drugs', 'hate_symbols'];
+
+export const MODERATION_PROMPT = `Analyze this image for inappropriate content. Look specifically for: 1) Nudity (exposed breasts, genitals, buttocks), 2) Sexual activity or suggestive poses, 3) Graphic violence or blood, 4) Drug use, 5) Hate symbols. Normal content like faces, clothed people and everyday activities is safe.
+Reply only with JSON in this shape: {"verdict": "SAFE" | "FLAGGED", "category": ${MODERATION_CATEGORIES.map(c => `"${c}"`).join(' | ')} | null, "confidence": number between 0 and 1}`;
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { MODERATION_CATEGORIES, MODERATION_PROMPT } from './categories.js';
+
+let model = null;
+
+const getModel = () => {
+  if (!model) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    model = genAI.getGenerativeModel({ model: process.env.GEMINI_MODEL || 'gemini-2.5-flash' });
+  }
+  return model;
+};
+
+// Gemini sometimes wraps JSON in a code fence or ignores the format entirely,
+// so fall back to the bare SAFE/FLAGGED keyword the old prompt used
+export const parseGeminiResponse = (text) => {
+  const json = text.match(/\{[\s\S]*\}/)?.[0];
+  if (json) {
+    try {
+      const parsed = JSON.parse(json);
+      const verdict = String(parsed.verdict || '').toUpperCase();
+      if (verdict === 'SAFE' || verdict === 'FLAGGED') {
+        const confidence = Number(parsed.confidence);
+        return {
+          verdict: verdict === 'FLAGGED' ? 'flagged' : 'safe',
+          category: MODERATION_CATEGORIES.includes(parsed.category) ? parsed.category : null,
+          confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.9
+        };
+      }
+    } catch (error) {
+      // fall through to keyword matching
+    }
+  }
+
+  const upper = text.toUpperCase();
+  if (upper.includes('FLAGGED')) return { verdict: 'flagged', category: null, confidence: 0.9 };
+  if (upper.includes('SAFE')) return { verdict: 'safe', category: null, confidence: 0.9 };
+  return { verdict: 'uncertain', category: null, confidence: 0 };
+};
+
+export default {
+  name: 'gemini',
+
+  isConfigured: () => !!process.env.GEMINI_API_KEY,
+
+  analyzeFrame: async (imagePath, { signal } = {}) => {
+    const image = fs.readFileSync(imagePath);
+    const result = await getModel().generateContent([
+      MODERATION_PROMPT,
+      {
+        inlineData: {
+          data: image.toString('base64'),
+          mimeType: 'image/jpeg'
+        }
+      }
+    ], { signal });
+
+    const text = result.response.text().trim();
+    console.log(`🤖 Raw Gemini response: "${text}"`);
+    return parseGeminiResponse(text);
+  }
+};
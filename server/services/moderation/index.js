@@ -0,0 +1,54 @@
+import geminiProvider from './geminiProvider.js';
+import openaiProvider from './openaiProvider.js';
+import localProvider from './localProvider.js';
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  local: localProvider
+};
+
+// MODERATION_PROVIDERS is an ordered fallback chain, e.g. "gemini,openai,local".
+// The local heuristic flags faces and sand alike, so it is only used when
+// listed explicitly; otherwise frames no AI provider decides go to review.
+export const getModerationProviders = () => {
+  const names = (process.env.MODERATION_PROVIDERS || 'gemini,openai')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names
+    .map(name => {
+      if (!PROVIDERS[name]) {
+        console.warn(`⚠️ Unknown moderation provider "${name}" ignored`);
+      }
+      return PROVIDERS[name];
+    })
+    .filter(provider => provider && provider.isConfigured());
+};
+
+/**
+ * Asks each configured provider in turn until one reaches a verdict.
+ * Resolves to { verdict: 'uncertain' } when none can decide, never to a guess.
+ * An aborted signal cancels the in-flight request and skips the rest of the chain.
+ */
+export const moderateFrame = async (imagePath, { signal } = {}) => {
+  const errors = [];
+
+  for (const provider of getModerationProviders()) {
+    signal?.throwIfAborted();
+    try {
+      const result = await provider.analyzeFrame(imagePath, { signal });
+      if (result.verdict === 'safe' || result.verdict === 'flagged') {
+        return { ...result, provider: provider.name };
+      }
+      errors.push(`${provider.name}: undecided`);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`❌ ${provider.name} moderation failed: ${error.message}`);
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  return { verdict: 'uncertain', category: null, confidence: 0, provider: null, errors };
+};
@@ -0,0 +1,48 @@
+import { decodePixels } from '../ffmpeg.js';
+
+const SAMPLE_SIZE = 64;
+
+// Classic RGB skin-tone rule (Kovac et al.); crude, but deterministic and offline
+const isSkinPixel = (r, g, b) => {
+  return r > 95 && g > 40 && b > 20 &&
+    Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+    Math.abs(r - g) > 15 && r > g && r > b;
+};
+
+export const getSkinRatio = (pixels) => {
+  let skin = 0;
+  const total = pixels.length / 3;
+
+  for (let i = 0; i < pixels.length; i += 3) {
+    if (isSkinPixel(pixels[i], pixels[i + 1], pixels[i + 2])) skin++;
+  }
+
+  return total > 0 ? skin / total : 0;
+};
+
+/**
+ * Offline heuristic that only decides clear-cut frames: a mostly skin-toned
+ * frame is flagged for nudity, a frame with almost no skin is safe, and
+ * anything in between is left for another provider or a human.
+ */
+export default {
+  name: 'local',
+
+  isConfigured: () => true,
+
+  analyzeFrame: async (imagePath, { signal } = {}) => {
+    const flagRatio = parseFloat(process.env.LOCAL_MODERATION_FLAG_RATIO) || 0.45;
+    const safeRatio = parseFloat(process.env.LOCAL_MODERATION_SAFE_RATIO) || 0.1;
+
+    const pixels = await decodePixels(imagePath, { width: SAMPLE_SIZE, height: SAMPLE_SIZE, signal });
+    const ratio = getSkinRatio(pixels);
+
+    if (ratio >= flagRatio) {
+      return { verdict: 'flagged', category: 'nudity', confidence: Math.min(ratio, 1) };
+    }
+    if (ratio <= safeRatio) {
+      return { verdict: 'safe', category: null, confidence: 1 - ratio };
+    }
+    return { verdict: 'uncertain', category: null, confidence: 0 };
+  }
+};
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import OpenAI from 'openai';
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+// OpenAI moderation labels mapped onto our categories
+const CATEGORY_MAP = {
+  'sexual': 'nudity',
+  'sexual/minors': 'nudity',
+  'violence': 'violence',
+  'violence/graphic': 'violence',
+  'self-harm': 'violence',
+  'self-harm/intent': 'violence',
+  'self-harm/instructions': 'violence',
+  'illicit': 'drugs',
+  'illicit/violent': 'drugs',
+  'hate': 'hate_symbols',
+  'hate/threatening': 'hate_symbols'
+};
+
+export const parseModerationResult = (result) => {
+  const scores = Object.entries(result.category_scores || {})
+    .filter(([label]) => CATEGORY_MAP[label])
+    .sort(([, a], [, b]) => b - a);
+
+  const [topLabel, topScore = 0] = scores[0] || [];
+
+  if (result.flagged) {
+    const flaggedLabel = scores.find(([label]) => result.categories?.[label])?.[0] || topLabel;
+    return {
+      verdict: 'flagged',
+      category: CATEGORY_MAP[flaggedLabel] || null,
+      confidence: result.category_scores?.[flaggedLabel] ?? topScore
+    };
+  }
+
+  return { verdict: 'safe', category: null, confidence: 1 - topScore };
+};
+
+export default {
+  name: 'openai',
+
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+
+  analyzeFrame: async (imagePath, { signal } = {}) => {
+    const image = fs.readFileSync(imagePath);
+    const response = await getClient().moderations.create({
+      model: process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+      input: [{
+        type: 'image_url',
+        image_url: { url: `data:image/jpeg;base64,${image.toString('base64')}` }
+      }]
+    }, { signal });
+
+    return parseModerationResult(response.results[0]);
+  }
+};
@@ -0,0 +1,52 @@
+import ModerationPolicy from '../../models/ModerationPolicy.js';
+import { MODERATION_CATEGORIES } from './categories.js';
+
+export const MODERATION_ACTIONS = ['flag', 'review', 'reject'];
+
+export const DEFAULT_MODERATION_POLICY = {
+  category: 'default',
+  classes: MODERATION_CATEGORIES,
+  flagThreshold: 0.5,
+  minFlaggedFrames: 1,
+  action: 'flag'
+};
+
+export const getModerationPolicy = async (category) => {
+  const policies = await ModerationPolicy.find({ category: { $in: [category, 'default'] } }).lean();
+  return policies.find(policy => policy.category === category) ||
+    policies.find(policy => policy.category === 'default') ||
+    DEFAULT_MODERATION_POLICY;
+};
+
+// A flag without a category cannot be ruled out by class, so it always counts
+const countsAgainst = (result, policy) => {
+  return result.verdict === 'flagged' &&
+    result.confidence >= policy.flagThreshold &&
+    (!result.category || policy.classes.includes(result.category));
+};
+
+/**
+ * Turns per-frame verdicts into a video verdict under policy. Enough counted
+ * flags trigger the policy's action; fewer, or any undecided frame, send the
+ * video to a human. Resolves to { status, action, flagged } where status is
+ * the sensitivityStatus to store and action is set when the policy fired.
+ */
+export const applyModerationPolicy = (results, policy = DEFAULT_MODERATION_POLICY) => {
+  const flagged = results.filter(result => countsAgainst(result, policy));
+
+  if (flagged.length > 0 && flagged.length >= policy.minFlaggedFrames) {
+    return {
+      status: policy.action === 'review' ? 'review' : 'flagged',
+      action: policy.action,
+      flagged
+    };
+  }
+
+  // Some flags, just not enough to act on, still need a second opinion
+  const undecided = results.filter(result => result.verdict === 'uncertain');
+  if (flagged.length > 0 || undecided.length > 0 || results.length === 0) {
+    return { status: 'review', action: null, flagged };
+  }
+
+  return { status: 'safe', action: null, flagged };
+};
@@ -0,0 +1,43 @@
+import path from 'path';
+import fs from 'fs';
+import ModerationReport from '../../models/ModerationReport.js';
+import { getMediaDir } from '../../utils/mediaPaths.js';
+
+export const getEvidenceDir = (videoId) => path.join(getMediaDir(videoId), 'moderation');
+
+/**
+ * Persists the per-frame results of analyzeVideoSafety, copying flagged and
+ * undecided frames out of the temp folder so admins can see them later.
+ */
+export const saveModerationReport = async (videoId, analysis, framesDir) => {
+  const evidenceDir = getEvidenceDir(videoId);
+  fs.rmSync(evidenceDir, { recursive: true, force: true });
+
+  const frames = (analysis.frames || []).map((result) => {
+    const frame = { ...result };
+
+    if (result.verdict !== 'safe') {
+      const source = path.join(framesDir, result.frame);
+      if (fs.existsSync(source)) {
+        fs.mkdirSync(evidenceDir, { recursive: true });
+        fs.copyFileSync(source, path.join(evidenceDir, result.frame));
+        frame.image = result.frame;
+      }
+    }
+
+    return frame;
+  });
+
+  return ModerationReport.findOneAndUpdate(
+    { video: videoId },
+    {
+      video: videoId,
+      status: analysis.status,
+      confidence: analysis.confidence,
+      note: analysis.note,
+      frames,
+      analyzedAt: analysis.analyzedAt
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
@@ -0,0 +1,82 @@
+import Video from '../models/Video.js';
+
+// Slice of the overall progress bar each processVideo stage occupies
+export const PROCESSING_STAGES = {
+  probing: { start: 0, end: 5 },
+  thumbnails: { start: 5, end: 20 },
+  sampling: { start: 20, end: 35 },
+  extracting: { start: 35, end: 42 },
+  fingerprinting: { start: 42, end: 45 },
+  analyzing: { start: 45, end: 95 },
+  finalizing: { start: 95, end: 100 }
+};
+
+// Clips are cut in their own job before the normal pipeline runs on them
+export const CLIPPING_STAGES = {
+  clipping: { start: 0, end: 100 }
+};
+
+// The HLS ladder runs as its own job after the video is already playable
+export const TRANSCODING_STAGES = {
+  transcoding: { start: 0, end: 100 }
+};
+
+// ffmpeg reports several times a second; sockets and the database don't need that
+const EMIT_INTERVAL_MS = 500;
+const PERSIST_INTERVAL_MS = 3000;
+
+// Seconds left in the stage, extrapolated from how long it has run so far.
+// Too early in a stage the estimate is noise, so it is left out.
+const estimateRemaining = (startedAt, fraction) => {
+  const elapsed = (Date.now() - startedAt) / 1000;
+  if (fraction < 0.02 || elapsed < 1) return null;
+  return Math.round(elapsed / fraction * (1 - fraction));
+};
+
+/**
+ * Returns report(stage, fraction), which maps a stage's own 0-1 fraction onto
+ * the overall percentage and emits a throttled 'videoProgress' event to the
+ * uploader's room. When persist is set, the overall percentage and stage are
+ * written to the video so a reloaded page picks up where the socket left off.
+ */
+export const createProgressReporter = ({ io, videoId, userId, status = 'processing', stages = PROCESSING_STAGES, persist = true }) => {
+  let currentStage = null;
+  let stageStartedAt = 0;
+  let lastEmitAt = 0;
+  let lastPersistAt = 0;
+
+  return (stage, fraction = 0) => {
+    const range = stages[stage];
+    if (!range) return;
+
+    const now = Date.now();
+    const stageChanged = stage !== currentStage;
+    if (stageChanged) {
+      currentStage = stage;
+      stageStartedAt = now;
+    }
+
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    if (!stageChanged && clamped < 1 && now - lastEmitAt < EMIT_INTERVAL_MS) return;
+    lastEmitAt = now;
+
+    const progress = Math.round(range.start + (range.end - range.start) * clamped);
+
+    if (io && userId) {
+      io.to(`user-${userId}`).emit('videoProgress', {
+        videoId: String(videoId),
+        status,
+        stage,
+        progress,
+        stagePercent: Math.round(clamped * 100),
+        eta: estimateRemaining(stageStartedAt, clamped)
+      });
+    }
+
+    if (persist && (stageChanged || now - lastPersistAt >= PERSIST_INTERVAL_MS)) {
+      lastPersistAt = now;
+      Video.findByIdAndUpdate(videoId, { processingProgress: progress, processingStage: stage })
+        .catch(error => console.error(`⚠️ Failed to save progress for ${videoId}: ${error.message}`));
+    }
+  };
+};
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import User from '../models/User.js';
+import OrganizationQuota from '../models/OrganizationQuota.js';
+import ProcessingUsage from '../models/ProcessingUsage.js';
+
+export const QUOTA_FIELDS = ['storageBytes', 'videoCount', 'processingMinutes'];
+
+const getMonthKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1024 ** 2)} MB`;
+};
+
+const quotaExceeded = (msg) => Object.assign(new Error(msg), { status: 403 });
+
+// Unset limits come back as null (unlimited)
+const pickLimits = (source) => Object.fromEntries(QUOTA_FIELDS.map(field => [field, source?.[field] ?? null]));
+
+/**
+ * Storage (original files, every kept version), video count and this month's
+ * processing minutes for the given users combined.
+ */
+export const measureUsage = async (userIds) => {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+  const [stored] = await Video.aggregate([
+    { $match: { uploadedBy: { $in: ids } } },
+    {
+      $group: {
+        _id: null,
+        videoCount: { $sum: 1 },
+        // Videos with a version history keep every version's file; the
+        // current one is among them
+        storageBytes: {
+          $sum: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$versions', []] } }, 0] },
+              { $sum: '$versions.fileSize' },
+              { $ifNull: ['$fileSize', 0] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const [processed] = await ProcessingUsage.aggregate([
+    { $match: { user: { $in: ids }, month: getMonthKey() } },
+    { $group: { _id: null, seconds: { $sum: '$seconds' } } }
+  ]);
+
+  return {
+    storageBytes: stored?.storageBytes || 0,
+    videoCount: stored?.videoCount || 0,
+    processingMinutes: Math.round((processed?.seconds || 0) / 6) / 10
+  };
+};
+
+/**
+ * Limits and usage for a user and, when they belong to one, their
+ * organization: { user: { limits, usage }, organization: { name, limits, usage } | null }
+ */
+export const getQuotaStatus = async (userId) => {
+  const user = await User.findById(userId).select('organization quota').lean();
+  if (!user) return null;
+
+  const status = {
+    user: { limits: pickLimits(user.quota), usage: await measureUsage([user._id]) },
+    organization: null
+  };
+
+  if (user.organization) {
+    const [members, quota] = await Promise.all([
+      User.find({ organization: user.organization }).select('_id').lean(),
+      OrganizationQuota.findOne({ organization: user.organization }).lean()
+    ]);
+    status.organization = {
+      name: user.organization,
+      limits: pickLimits(quota),
+      usage: await measureUsage(members.map(member => member._id))
+    };
+  }
+
+  return status;
+};
+
+/**
+ * Throws a 403 error when storing `bytes` more in `videos` new videos would
+ * take the user or their organization over a limit, or when this month's
+ * processing minutes are used up. Resolves to the quota status otherwise.
+ */
+export const assertWithinQuota = async (userId, { bytes = 0, videos = 1 } = {}) => {
+  const status = await getQuotaStatus(userId);
+  if (!status) return status;
+
+  const scopes = [['Your', status.user], ["Your organization's", status.organization]];
+  for (const [owner, scope] of scopes) {
+    if (!scope) continue;
+    const { limits, usage } = scope;
+
+    if (limits.storageBytes !== null && usage.storageBytes + bytes > limits.storageBytes) {
+      throw quotaExceeded(`${owner} storage quota of ${formatBytes(limits.storageBytes)} would be exceeded (${formatBytes(usage.storageBytes)} used)`);
+    }
+    if (limits.videoCount !== null && videos > 0 && usage.videoCount + videos > limits.videoCount) {
+      throw quotaExceeded(`${owner} quota of ${limits.videoCount} videos has been reached`);
+    }
+    if (limits.processingMinutes !== null && usage.processingMinutes >= limits.processingMinutes) {
+      throw quotaExceeded(`${owner} ${limits.processingMinutes} processing minutes for this month are used up`);
+    }
+  }
+
+  return status;
+};
+
+// Called once a video has been through the pipeline
+export const recordProcessingTime = (userId, seconds) => {
+  return ProcessingUsage.updateOne(
+    { user: userId, month: getMonthKey() },
+    { $inc: { seconds: Math.max(seconds || 0, 0) } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Validates limits from a request body: each field must be a non-negative
+ * number, or null/'' to remove the limit. Returns { limits } or { error }.
+ */
+export const parseQuotaLimits = (body) => {
+  const limits = {};
+  for (const field of QUOTA_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      limits[field] = null;
+      continue;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      return { error: `${field} must be a non-negative number or empty for unlimited` };
+    }
+    limits[field] = number;
+  }
+  return { limits };
+};
@@ -0,0 +1,97 @@
+import Video from '../models/Video.js';
+import RescanRun from '../models/RescanRun.js';
+import { enqueueJob } from './jobQueue.js';
+
+// Re-scans wait behind uploads, imports and clips
+const RESCAN_PRIORITY = 10;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo filter for the processed videos a re-scan should cover.
+ * provider 'none' selects videos no provider ever decided (analysis failed or
+ * every provider was undecided). Admin overrides are left alone unless
+ * includeOverridden is set.
+ */
+export const buildRescanFilter = ({ category, statuses, provider, analyzedBefore, includeOverridden } = {}) => {
+  const filter = { processingStatus: 'completed' };
+
+  if (category) filter.category = category;
+  if (statuses?.length) filter.sensitivityStatus = { $in: statuses };
+  if (analyzedBefore) filter['moderation.analyzedAt'] = { $lt: new Date(analyzedBefore) };
+  if (!includeOverridden) filter['moderation.overriddenAt'] = { $exists: false };
+
+  if (provider === 'none') {
+    filter['moderation.provider'] = { $in: [null, ''] };
+  } else if (provider) {
+    // Safe verdicts record every provider involved, comma-separated
+    filter['moderation.provider'] = { $regex: `(^|,)${escapeRegex(provider)}(,|$)` };
+  }
+
+  return filter;
+};
+
+export const countRescanCandidates = (criteria) => Video.countDocuments(buildRescanFilter(criteria));
+
+// Creates the run and queues one job per matching video
+export const startRescan = async (criteria, requestedBy) => {
+  const videos = await Video.find(buildRescanFilter(criteria)).select('_id').lean();
+
+  const run = await RescanRun.create({
+    criteria,
+    total: videos.length,
+    requestedBy,
+    ...(videos.length === 0 && { state: 'completed', finishedAt: new Date() })
+  });
+
+  for (const video of videos) {
+    await enqueueJob('rescanVideo', {
+      videoId: String(video._id),
+      rescanId: String(run._id),
+      includeOverridden: !!criteria.includeOverridden
+    }, { priority: RESCAN_PRIORITY });
+  }
+
+  console.log(`🔁 Re-scan ${run._id} queued for ${videos.length} video(s)`);
+  return run;
+};
+
+/**
+ * Tallies one finished 'rescanVideo' job. result is { title, from, to } on
+ * success, { skipped: true } when the video no longer qualified, and null
+ * when the job failed or was cancelled. Emits
+ * 'rescanProgress' to the admin who started the run, and marks the run
+ * completed once every job has reported.
+ */
+export const recordRescanResult = async (rescanId, videoId, result, io) => {
+  const counter = !result ? 'failed' : result.skipped ? 'skipped' : 'completed';
+  const update = { $inc: { [counter]: 1 } };
+
+  if (result && !result.skipped && result.from !== result.to) {
+    update.$push = { changes: { video: videoId, title: result.title, from: result.from, to: result.to } };
+  }
+
+  let run = await RescanRun.findByIdAndUpdate(rescanId, update, { new: true });
+  if (!run) return;
+
+  if (run.state === 'running' && run.completed + run.failed + run.skipped >= run.total) {
+    run = await RescanRun.findOneAndUpdate(
+      { _id: rescanId, state: 'running' },
+      { state: 'completed', finishedAt: new Date() },
+      { new: true }
+    ) || run;
+    console.log(`✅ Re-scan ${rescanId} finished: ${run.changes.length} verdict(s) changed`);
+  }
+
+  if (io && run.requestedBy) {
+    io.to(`user-${run.requestedBy}`).emit('rescanProgress', {
+      rescanId: String(run._id),
+      state: run.state,
+      total: run.total,
+      completed: run.completed,
+      failed: run.failed,
+      skipped: run.skipped,
+      changed: run.changes.length
+    });
+  }
+};
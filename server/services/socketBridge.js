@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import { createAdapter } from '@socket.io/mongo-adapter';
+import { Emitter } from '@socket.io/mongo-emitter';
+
+// Socket.IO events published by any process land in this capped collection
+// and are relayed to clients by every API server through a change stream.
+// Change streams need MongoDB running as a replica set (Atlas always is).
+const EVENTS_COLLECTION_SIZE = 1e6;
+
+const getCollectionName = () => process.env.SOCKET_EVENTS_COLLECTION || 'socket.io-adapter-events';
+
+const getEventsCollection = async () => {
+  const name = getCollectionName();
+  const { db } = mongoose.connection;
+  if (!db) {
+    throw new Error('MongoDB is not connected');
+  }
+
+  try {
+    await db.createCollection(name, { capped: true, size: EVENTS_COLLECTION_SIZE });
+  } catch (error) {
+    // 48 = NamespaceExists: created by an earlier process
+    if (error.code !== 48) throw error;
+  }
+
+  return db.collection(name);
+};
+
+// API servers relay events published by standalone workers (and by each other)
+export const attachMongoAdapter = async (io) => {
+  io.adapter(createAdapter(await getEventsCollection()));
+  console.log(`📡 Socket.IO events shared through "${getCollectionName()}"`);
+};
+
+// Standalone workers have no sockets of their own; the emitter offers the same
+// io.to(room).emit(...) interface the job handlers already use
+export const createMongoEmitter = async () => {
+  return new Emitter(await getEventsCollection());
+};
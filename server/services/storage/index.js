@@ -0,0 +1,25 @@
+import localDriver from './localDriver.js';
+import s3Driver from './s3Driver.js';
+
+const DRIVERS = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+/**
+ * Where original video files live, chosen with STORAGE_DRIVER ("local" or
+ * "s3"). Every driver stores files under a key and offers:
+ *   put(key, sourcePath, { contentType, keepSource })  moves a local file in
+ *   getStream(key, { start, end })                     readable, end inclusive
+ *   delete(key), stat(key) -> { size, modifiedAt } | null, list()
+ *   getSignedUrl(key, { expiresIn })                   time-limited download URL
+ *   getLocalCopy(key, { signal }) -> { path, release } file for ffmpeg to read
+ */
+export const getStorage = () => {
+  const name = (process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return driver;
+};
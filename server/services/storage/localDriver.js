@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getUploadsDir } from '../../utils/mediaPaths.js';
+
+const getRoot = () => process.env.STORAGE_LOCAL_ROOT || getUploadsDir();
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Keys are plain file names; anything that could leave the root is refused
+const resolveKey = (key) => {
+  if (!key || path.basename(key) !== key || key.startsWith('.')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return path.join(getRoot(), key);
+};
+
+const sign = (key, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+// Checks the expires/signature pair of a URL from getSignedUrl
+export const verifySignature = (key, expires, signature) => {
+  if (!/^\d+$/.test(expires || '') || Number(expires) < Date.now() / 1000) return false;
+  if (!/^[a-f\d]{64}$/.test(signature || '')) return false;
+  return crypto.timingSafeEqual(Buffer.from(sign(key, expires), 'hex'), Buffer.from(signature, 'hex'));
+};
+
+const moveFile = (from, to) => {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    // temp/ may be on another volume
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.rmSync(from, { force: true });
+  }
+};
+
+export default {
+  name: 'local',
+
+  async put(key, sourcePath, { keepSource = false } = {}) {
+    const destination = resolveKey(key);
+    fs.mkdirSync(getRoot(), { recursive: true });
+
+    if (path.resolve(sourcePath) === path.resolve(destination)) return;
+    if (keepSource) {
+      fs.copyFileSync(sourcePath, destination);
+    } else {
+      moveFile(sourcePath, destination);
+    }
+  },
+
+  async getStream(key, { start, end } = {}) {
+    return fs.createReadStream(resolveKey(key), { start, end });
+  },
+
+  async delete(key) {
+    fs.rmSync(resolveKey(key), { force: true });
+  },
+
+  async stat(key) {
+    try {
+      const stat = fs.statSync(resolveKey(key));
+      return stat.isFile() ? { size: stat.size, modifiedAt: stat.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async list() {
+    const root = getRoot();
+    if (!fs.existsSync(root)) return [];
+
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => {
+        const stat = fs.statSync(path.join(root, entry.name));
+        return { key: entry.name, size: stat.size, modifiedAt: stat.mtime };
+      });
+  },
+
+  // Served by GET /api/storage/:key, which checks the signature instead of a login
+  async getSignedUrl(key, { expiresIn = 900 } = {}) {
+    resolveKey(key);
+    const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+    return `/api/storage/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  // Files are already on disk, so ffmpeg reads them in place
+  async getLocalCopy(key) {
+    return { path: resolveKey(key), release: async () => {} };
+  }
+};
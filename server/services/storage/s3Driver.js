@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { getStagingDir } from '../../utils/mediaPaths.js';
+
+// S3_ENDPOINT points the driver at an S3-compatible service such as MinIO,
+// which needs path-style addressing
+const getConfig = () => ({
+  bucket: process.env.S3_BUCKET,
+  prefix: process.env.S3_PREFIX || '',
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : !!process.env.S3_ENDPOINT,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+});
+
+let client = null;
+
+// Without explicit keys the SDK's default chain (AWS_* variables, instance
+// roles, ...) is used
+const getClient = () => {
+  if (!client) {
+    const { region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = getConfig();
+    client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+    });
+  }
+  return client;
+};
+
+const toObjectKey = (key) => `${getConfig().prefix}${key}`;
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+export default {
+  name: 's3',
+
+  async put(key, sourcePath, { contentType, keepSource = false } = {}) {
+    // Multipart for large files; a single PUT is capped at 5GB
+    const upload = new Upload({
+      client: getClient(),
+      params: {
+        Bucket: getConfig().bucket,
+        Key: toObjectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentType: contentType
+      }
+    });
+    await upload.done();
+
+    if (!keepSource) {
+      fs.rmSync(sourcePath, { force: true });
+    }
+  },
+
+  async getStream(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    const response = await getClient().send(new GetObjectCommand({
+      Bucket: getConfig().bucket,
+      Key: toObjectKey(key),
+      Range: range
+    }));
+    return response.Body;
+  },
+
+  async delete(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: getConfig().bucket, Key: toObjectKey(key) }));
+  },
+
+  async stat(key) {
+    try {
+      const response = await getClient().send(new HeadObjectCommand({ Bucket: getConfig().bucket, Key: toObjectKey(key) }));
+      return { size: response.ContentLength, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  },
+
+  // Without a prefix this would list, and let the janitor judge, the whole bucket
+  async list() {
+    const { bucket, prefix } = getConfig();
+    if (!prefix) {
+      throw new Error('S3_PREFIX must be set before stored files can be listed');
+    }
+
+    const objects = [];
+    let ContinuationToken;
+
+    do {
+      const response = await getClient().send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+      for (const object of response.Contents || []) {
+        objects.push({ key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: object.LastModified });
+      }
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return objects;
+  },
+
+  async getSignedUrl(key, { expiresIn = 900 } = {}) {
+    return getSignedUrl(getClient(), new GetObjectCommand({ Bucket: getConfig().bucket, Key: toObjectKey(key) }), { expiresIn });
+  },
+
+  // ffmpeg and the validators need a seekable file, so objects are
+  // downloaded to the staging directory for the length of a job
+  async getLocalCopy(key, { signal } = {}) {
+    const stagingDir = getStagingDir();
+    fs.mkdirSync(stagingDir, { recursive: true });
+    const localPath = path.join(stagingDir, `storage-${crypto.randomUUID()}${path.extname(key)}`);
+
+    try {
+      const response = await getClient().send(
+        new GetObjectCommand({ Bucket: getConfig().bucket, Key: toObjectKey(key) }),
+        { abortSignal: signal }
+      );
+      await pipeline(response.Body, fs.createWriteStream(localPath), { signal });
+    } catch (error) {
+      fs.rmSync(localPath, { force: true });
+      throw error;
+    }
+
+    return { path: localPath, release: async () => fs.rmSync(localPath, { force: true }) };
+  }
+};
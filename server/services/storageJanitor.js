@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import Video from '../models/Video.js';
+import UploadSession from '../models/UploadSession.js';
+import Job from '../models/Job.js';
+import { getStorage } from './storage/index.js';
+import { getTempRoot, getMediaRoot, getStagingDir } from '../utils/mediaPaths.js';
+
+const getConfig = () => ({
+  intervalMs: parseInt(process.env.JANITOR_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+  graceMs: parseInt(process.env.JANITOR_GRACE_MS) || 24 * 60 * 60 * 1000
+});
+
+const FRAMES_DIR_PATTERN = /^frames-([a-f\d]{24})$/i;
+const PARTIAL_UPLOAD_PATTERN = /^upload-([a-f\d]{24})$/i;
+const IMPORT_DOWNLOAD_PATTERN = /^import-([a-f\d]{24})$/i;
+const VIDEO_ID_PATTERN = /^[a-f\d]{24}$/i;
+// Keys given to uploads, imports, replacements and clips; anything else in
+// storage was not put there by this app and is never treated as an orphan
+const STORAGE_KEY_PATTERN = /^(video|clip)-\d+-\d+(\.[^.]+)?$/;
+
+let janitorTimer = null;
+let currentRun = null;
+
+const getSize = (entryPath) => {
+  const stat = fs.statSync(entryPath);
+  if (!stat.isDirectory()) return stat.size;
+  return fs.readdirSync(entryPath).reduce((total, name) => total + getSize(path.join(entryPath, name)), 0);
+};
+
+// Lists a directory's entries with the details the report needs; a missing
+// directory simply has nothing in it
+const listEntries = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir).map(name => {
+    const entryPath = path.join(dir, name);
+    const stat = fs.statSync(entryPath);
+    return { name, path: entryPath, size: getSize(entryPath), modifiedAt: stat.mtime };
+  });
+};
+
+const toReportEntry = ({ name, path: entryPath, size, modifiedAt }, reason) => ({
+  name,
+  path: entryPath,
+  size,
+  modifiedAt,
+  reason
+});
+
+/**
+ * Reconciles storage, temp/ and media/ against the Video collection.
+ * Entries no video accounts for are removed once older than the grace period
+ * (never in dry-run mode). Videos whose original file is gone are only
+ * reported, since deleting a record is a decision for an admin.
+ */
+export const runJanitor = async ({ dryRun = false } = {}) => {
+  const { graceMs } = getConfig();
+  const cutoff = Date.now() - graceMs;
+
+  // Until the storage migration has run, older videos still point at files by
+  // path and every one of their files would look orphaned
+  if (await Video.collection.findOne({ filePath: { $exists: true } }, { projection: { _id: 1 } })) {
+    throw new Error('Some videos still use file paths; run "npm run migrate:storage" first');
+  }
+
+  const videos = await Video.find({}).select('_id title storageKey versions.storageKey processingStatus').lean();
+  const videosById = new Map(videos.map(video => [String(video._id), video]));
+  const referencedKeys = new Set(videos.flatMap(video => [video.storageKey, ...(video.versions || []).map(entry => entry.storageKey)]));
+
+  const storage = getStorage();
+  const storedFiles = await storage.list();
+  const storedKeys = new Set(storedFiles.map(file => file.key));
+
+  const sessions = await UploadSession.find({ state: 'uploading' }).select('_id').lean();
+  const activeUploadIds = new Set(sessions.map(session => String(session._id)));
+  const imports = await Job.find({ type: 'importVideo', state: { $in: ['queued', 'running'] } }).select('_id').lean();
+  const activeImportIds = new Set(imports.map(job => String(job._id)));
+
+  const orphans = { storage: [], temp: [], media: [] };
+
+  for (const file of storedFiles) {
+    if (STORAGE_KEY_PATTERN.test(file.key) && !referencedKeys.has(file.key)) {
+      orphans.storage.push({ name: file.key, key: file.key, size: file.size, modifiedAt: file.modifiedAt, reason: 'No video references this file' });
+    }
+  }
+
+  for (const entry of listEntries(getStagingDir())) {
+    orphans.temp.push(toReportEntry(entry, 'Staged file left behind by an interrupted upload or job'));
+  }
+
+  for (const entry of listEntries(getTempRoot())) {
+    const partialUpload = entry.name.match(PARTIAL_UPLOAD_PATTERN);
+    if (partialUpload) {
+      if (!activeUploadIds.has(partialUpload[1].toLowerCase())) {
+        orphans.temp.push(toReportEntry(entry, 'Resumable upload expired or was abandoned'));
+      }
+      continue;
+    }
+
+    const importDownload = entry.name.match(IMPORT_DOWNLOAD_PATTERN);
+    if (importDownload) {
+      if (!activeImportIds.has(importDownload[1].toLowerCase())) {
+        orphans.temp.push(toReportEntry(entry, 'Left behind by an interrupted URL import'));
+      }
+      continue;
+    }
+
+    const match = entry.name.match(FRAMES_DIR_PATTERN);
+    if (!match) continue;
+
+    const video = videosById.get(match[1].toLowerCase());
+    if (!video) {
+      orphans.temp.push(toReportEntry(entry, 'Video no longer exists'));
+    } else if (!['pending', 'processing'].includes(video.processingStatus)) {
+      orphans.temp.push(toReportEntry(entry, 'Left behind by an interrupted processing run'));
+    }
+  }
+
+  for (const entry of listEntries(getMediaRoot())) {
+    if (!VIDEO_ID_PATTERN.test(entry.name) || !videosById.has(entry.name.toLowerCase())) {
+      orphans.media.push(toReportEntry(entry, 'Video no longer exists'));
+    }
+  }
+
+  const missingFiles = videos
+    .filter(video => !storedKeys.has(video.storageKey))
+    .map(video => ({
+      videoId: video._id,
+      title: video.title,
+      storageKey: video.storageKey,
+      processingStatus: video.processingStatus
+    }));
+
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const entry of Object.values(orphans).flat()) {
+    entry.eligible = entry.modifiedAt.getTime() < cutoff;
+    if (dryRun || !entry.eligible) continue;
+
+    try {
+      if (entry.key) {
+        await storage.delete(entry.key);
+      } else {
+        fs.rmSync(entry.path, { recursive: true, force: true });
+      }
+      entry.removed = true;
+      removed++;
+      freedBytes += entry.size;
+    } catch (error) {
+      console.error(`❌ Janitor could not remove ${entry.key || entry.path}: ${error.message}`);
+    }
+  }
+
+  return {
+    dryRun,
+    scannedAt: new Date(),
+    graceMs,
+    orphans,
+    missingFiles,
+    removed,
+    freedBytes
+  };
+};
+
+const runScheduled = async () => {
+  if (currentRun) return;
+
+  currentRun = runJanitor()
+    .then(report => {
+      if (report.removed > 0) {
+        console.log(`🧹 Janitor removed ${report.removed} orphaned item(s), freed ${report.freedBytes} bytes`);
+      }
+      if (report.missingFiles.length > 0) {
+        console.warn(`⚠️ Janitor found ${report.missingFiles.length} video(s) whose file is missing`);
+      }
+    })
+    .catch(error => console.error('❌ Janitor run failed:', error.message))
+    .finally(() => {
+      currentRun = null;
+    });
+
+  await currentRun;
+};
+
+export const startJanitor = () => {
+  if (process.env.JANITOR_ENABLED === 'false' || janitorTimer) return;
+
+  const { intervalMs } = getConfig();
+  janitorTimer = setInterval(runScheduled, intervalMs);
+  janitorTimer.unref();
+  runScheduled();
+  console.log(`🧹 Storage janitor scheduled every ${Math.round(intervalMs / 60000)} min`);
+};
+
+export const stopJanitor = () => {
+  if (janitorTimer) {
+    clearInterval(janitorTimer);
+    janitorTimer = null;
+  }
+};
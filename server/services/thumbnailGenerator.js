@@ -0,0 +1,154 @@
+import path from 'path';
+import fs from 'fs';
+import ffmpeg, { getProgressFraction, bindAbortSignal } from './ffmpeg.js';
+
+const POSTER_FILENAME = 'poster.jpg';
+const STORYBOARD_FILENAME = 'storyboard.jpg';
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const STORYBOARD_COLUMNS = 10;
+const MAX_STORYBOARD_TILES = 100;
+const PREVIEW_FILENAME = 'preview.mp4';
+const PREVIEW_WIDTH = 320;
+const PREVIEW_SEGMENTS = 5;
+const PREVIEW_SEGMENT_SECONDS = 1;
+
+const runFfmpeg = (command, { onProgress, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    bindAbortSignal(command, signal)
+      .on('progress', (progress) => onProgress?.(progress))
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+};
+
+export const generatePoster = async (videoPath, outputDir, duration, { signal } = {}) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Skip black intro frames without running past the end of short clips
+  const seekTo = duration > 0 ? Math.min(Math.max(duration * 0.1, 1), duration / 2) : 0;
+  const output = path.join(outputDir, POSTER_FILENAME);
+
+  await runFfmpeg(
+    ffmpeg(videoPath)
+      .seekInput(seekTo)
+      .frames(1)
+      .videoFilters("scale='min(1280,iw)':-2")
+      .output(output),
+    { signal }
+  );
+
+  return POSTER_FILENAME;
+};
+
+// onProgress receives the fraction (0-1) of the source decoded so far
+export const generateStoryboard = async (videoPath, outputDir, duration, { onProgress, signal } = {}) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const baseInterval = parseInt(process.env.STORYBOARD_INTERVAL) || 10;
+  // Long videos widen the interval instead of growing the sprite without bound
+  const interval = Math.max(baseInterval, Math.ceil(duration / MAX_STORYBOARD_TILES));
+  const count = Math.max(1, Math.min(Math.ceil(duration / interval), MAX_STORYBOARD_TILES));
+  const columns = Math.min(count, STORYBOARD_COLUMNS);
+  const rows = Math.ceil(count / columns);
+
+  await runFfmpeg(
+    ffmpeg(videoPath)
+      .videoFilters([
+        `fps=1/${interval}`,
+        `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+        `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${columns}x${rows}`
+      ])
+      .frames(1)
+      .output(path.join(outputDir, STORYBOARD_FILENAME)),
+    {
+      onProgress: (progress) => onProgress?.(getProgressFraction(progress, duration)),
+      signal
+    }
+  );
+
+  return {
+    image: STORYBOARD_FILENAME,
+    interval,
+    count,
+    columns,
+    rows,
+    tileWidth: TILE_WIDTH,
+    tileHeight: TILE_HEIGHT
+  };
+};
+
+// Start times of the preview segments, centred in equal slices of the video.
+// Videos too short to split get a single segment from the start.
+export const getPreviewSegments = (duration) => {
+  if (!(duration > PREVIEW_SEGMENTS * PREVIEW_SEGMENT_SECONDS * 2)) {
+    return [{ start: 0, length: Math.min(duration || PREVIEW_SEGMENT_SECONDS, PREVIEW_SEGMENTS * PREVIEW_SEGMENT_SECONDS) }];
+  }
+
+  const slice = duration / PREVIEW_SEGMENTS;
+  return Array.from({ length: PREVIEW_SEGMENTS }, (_, i) => ({
+    start: Math.round((slice * i + (slice - PREVIEW_SEGMENT_SECONDS) / 2) * 100) / 100,
+    length: PREVIEW_SEGMENT_SECONDS
+  }));
+};
+
+/**
+ * Builds a short muted MP4 for hover previews by joining one-second segments
+ * taken from across the video. Each segment is its own seeked input, so only
+ * a few seconds of the source are decoded.
+ */
+export const generatePreview = async (videoPath, outputDir, duration, { signal } = {}) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const segments = getPreviewSegments(duration);
+  const command = ffmpeg();
+  for (const { start, length } of segments) {
+    command.input(videoPath).seekInput(start).inputOptions([`-t ${length}`]);
+  }
+
+  const scaled = segments.map((_, i) => `[${i}:v:0]scale=${PREVIEW_WIDTH}:-2,setsar=1,fps=15[v${i}]`);
+  const joined = `${segments.map((_, i) => `[v${i}]`).join('')}concat=n=${segments.length}:v=1:a=0[preview]`;
+
+  await runFfmpeg(
+    command
+      .complexFilter([...scaled, joined])
+      .outputOptions([
+        '-map [preview]',
+        '-an',
+        '-c:v libx264',
+        '-preset veryfast',
+        '-crf 30',
+        '-pix_fmt yuv420p',
+        '-movflags +faststart'
+      ])
+      .output(path.join(outputDir, PREVIEW_FILENAME)),
+    { signal }
+  );
+
+  return PREVIEW_FILENAME;
+};
+
+const formatVttTime = (seconds) => {
+  const date = new Date(Math.round(seconds * 1000));
+  return date.toISOString().substring(11, 23);
+};
+
+export const buildStoryboardVtt = (storyboard, duration, imageUrl) => {
+  const { interval, count, columns, tileWidth, tileHeight } = storyboard;
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration || (i + 1) * interval);
+    const x = (i % columns) * tileWidth;
+    const y = Math.floor(i / columns) * tileHeight;
+
+    lines.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    lines.push(`${imageUrl}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { inspectVideoFile } from './videoValidator.js';
+import { createUploadedVideo } from './videoIntake.js';
+import { assertWithinQuota } from './quota.js';
+import { buildUploadFilename } from '../middleware/upload.js';
+import { getTempRoot, getImportTempPath } from '../utils/mediaPaths.js';
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+// Servers often label video files generically; the magic-byte check decides
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+const PROGRESS_INTERVAL_MS = 500;
+
+const getConfig = () => ({
+  maxSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024, // 2GB
+  maxRedirects: parseInt(process.env.IMPORT_MAX_REDIRECTS) || 5,
+  timeoutMs: parseInt(process.env.IMPORT_TIMEOUT_MS) || 30 * 1000
+});
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. BlockList applies the IPv4 rules to IPv4-mapped IPv6 addresses too;
+// 6to4 (2002::/16) and Teredo (2001::/32) embed an IPv4 address in other ways,
+// so those ranges are refused outright.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001::', 32], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// Marked non-transient so the job queue does not retry a request that can
+// never succeed
+const rejection = (status, msg) => Object.assign(new Error(msg), { status, transient: false });
+
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Validates an import URL: HTTP(S) only, no credentials, and a literal IP host
+ * must be public. Hostnames are checked when they are resolved. Throws a 400
+ * error; resolves to the parsed URL.
+ */
+export const parseImportUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw rejection(400, 'A valid URL is required');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw rejection(400, 'Only http and https URLs can be imported');
+  }
+  if (url.username || url.password) {
+    throw rejection(400, 'URLs with credentials are not accepted');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw rejection(400, 'URL points to a private or internal address');
+  }
+
+  return url;
+};
+
+// Used as the socket's DNS lookup so the address that is checked is the one
+// connected to; re-resolving later could return a different (internal) host
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true, family: options.family || 0 }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(rejection(400, `${hostname} resolves to a private or internal address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const request = (url, { signal, timeoutMs }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.get(url, {
+    lookup: publicOnlyLookup,
+    signal,
+    timeout: timeoutMs,
+    headers: { 'User-Agent': 'VideoManagementSystem-Importer/1.0' }
+  }, resolve);
+
+  req.on('timeout', () => req.destroy(Object.assign(new Error('Download timed out'), { code: 'ETIMEDOUT' })));
+  req.on('error', reject);
+});
+
+// Follows redirects by hand so every hop is validated like the first URL
+const openDownload = async (startUrl, { signal }) => {
+  const { maxRedirects, timeoutMs } = getConfig();
+  let url = parseImportUrl(startUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(url, { signal, timeoutMs });
+
+    if (!REDIRECT_CODES.includes(response.statusCode)) {
+      return { url, response };
+    }
+
+    response.resume();
+    if (redirects >= maxRedirects) {
+      throw rejection(422, `Too many redirects (limit ${maxRedirects})`);
+    }
+    if (!response.headers.location) {
+      throw rejection(422, 'Redirect without a Location header');
+    }
+    url = parseImportUrl(new URL(response.headers.location, url).href);
+  }
+};
+
+const getFilename = (url) => {
+  try {
+    return path.basename(decodeURIComponent(url.pathname)) || 'imported-video';
+  } catch {
+    return 'imported-video';
+  }
+};
+
+/**
+ * Downloads url to destination, enforcing the size limit on both the declared
+ * Content-Length and the bytes actually received. onProgress receives
+ * (receivedBytes, totalBytes or null). Resolves to { filename, contentType, size }.
+ */
+export const downloadVideo = async (startUrl, destination, { onProgress, signal } = {}) => {
+  const { maxSize } = getConfig();
+  const { url, response } = await openDownload(startUrl, { signal });
+
+  if (response.statusCode !== 200) {
+    response.resume();
+    const error = new Error(`Server answered ${response.statusCode}`);
+    // Worth retrying only when the remote server is struggling
+    error.transient = response.statusCode >= 500 || response.statusCode === 429;
+    throw error;
+  }
+
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!contentType.startsWith('video/') && !GENERIC_CONTENT_TYPES.includes(contentType)) {
+    response.resume();
+    throw rejection(415, `URL does not point to a video (content type ${contentType || 'unknown'})`);
+  }
+
+  const declaredLength = parseInt(response.headers['content-length']) || null;
+  if (declaredLength > maxSize) {
+    response.resume();
+    throw rejection(413, `File is larger than the ${Math.round(maxSize / (1024 * 1024))}MB import limit`);
+  }
+
+  let received = 0;
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxSize) {
+        return callback(rejection(413, `File is larger than the ${Math.round(maxSize / (1024 * 1024))}MB import limit`));
+      }
+      onProgress?.(received, declaredLength);
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(response, guard, fs.createWriteStream(destination));
+
+  return { filename: getFilename(url), contentType, size: received };
+};
+
+/**
+ * Job handler body for 'importVideo': downloads the URL, validates the file
+ * like an upload and creates the Video. Progress and the outcome are emitted
+ * as 'importProgress' to the requesting user's room.
+ */
+export const importVideo = async (job, { io, signal }) => {
+  const { url, fields, userId } = job.payload;
+  const importId = String(job._id);
+  const tempPath = getImportTempPath(importId);
+  const emit = (data) => io?.to(`user-${userId}`).emit('importProgress', { importId, url, ...data });
+
+  let lastEmitAt = 0;
+  const onProgress = (received, total) => {
+    const now = Date.now();
+    if (now - lastEmitAt < PROGRESS_INTERVAL_MS) return;
+    lastEmitAt = now;
+    emit({ state: 'downloading', received, total, percent: total ? Math.round((received / total) * 100) : null });
+  };
+
+  fs.mkdirSync(getTempRoot(), { recursive: true });
+
+  try {
+    emit({ state: 'downloading', received: 0, total: null, percent: 0 });
+    const download = await downloadVideo(url, tempPath, { onProgress, signal });
+
+    emit({ state: 'validating', received: download.size, total: download.size, percent: 100 });
+    // The size was only known once the download finished
+    await assertWithinQuota(userId, { bytes: download.size });
+    const probe = await inspectVideoFile(tempPath);
+
+    const video = await createUploadedVideo(
+      {
+        filename: buildUploadFilename('video', download.filename),
+        originalName: download.filename,
+        path: tempPath,
+        size: download.size,
+        mimeType: download.contentType.startsWith('video/') ? download.contentType : 'application/octet-stream'
+      },
+      { ...fields, title: fields.title || download.filename.replace(/\.[^/.]+$/, '') },
+      { uploadedBy: userId, probe }
+    );
+
+    console.log(`🌐 Imported ${url} as video ${video._id}`);
+    emit({ state: 'completed', videoId: String(video._id), title: video.title, duplicates: video.duplicates });
+  } catch (error) {
+    // Validation rejections carry a status and must not be retried
+    if (error.status) error.transient = false;
+    throw error;
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+};
+
+export const handleImportFailure = (job, error, { io }) => {
+  io?.to(`user-${job.payload.userId}`).emit('importProgress', {
+    importId: String(job._id),
+    url: job.payload.url,
+    state: 'failed',
+    error: error.message,
+    duplicates: error.duplicates
+  });
+};
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import Video from '../models/Video.js';
+import { enqueueJob } from './jobQueue.js';
+import { hashFile, findDuplicates, getDuplicatePolicy } from './fingerprint.js';
+import { getStorage } from './storage/index.js';
+
+// Multipart forms send tags as a JSON array string; tus metadata may also send
+// a plain comma-separated list
+const parseTags = (tags) => {
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags;
+  try {
+    const parsed = JSON.parse(tags);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+};
+
+/**
+ * Creates the Video for a fully received and validated upload and queues it
+ * for processing. file is { filename, originalName, path, size, mimeType },
+ * where path is a staged local file that is moved into storage under
+ * filename; probe is the inspectVideoFile result. When the duplicate policy
+ * is 'reject' and an exact copy exists, the file is removed and the promise
+ * rejects with a 409 error carrying the duplicates.
+ */
+export const createUploadedVideo = async (file, fields, { uploadedBy, probe }) => {
+  const { title, description, tags, category, isPublic } = fields;
+
+  const video = new Video({
+    title,
+    description,
+    filename: file.filename,
+    originalName: file.originalName,
+    storageKey: file.filename,
+    fileSize: file.size,
+    mimeType: file.mimeType,
+    uploadedBy,
+    tags: parseTags(tags),
+    category: category || 'general',
+    isPublic: isPublic === 'true' || isPublic === true, // Handle string/boolean conversion
+    duration: probe?.duration,
+    metadata: probe?.metadata
+  });
+
+  // Exact copies can be caught before processing; near-duplicates are found
+  // once frames have been sampled
+  video.fingerprint = { sha256: await hashFile(file.path) };
+  const duplicatePolicy = getDuplicatePolicy();
+  if (duplicatePolicy !== 'off') {
+    video.duplicates = await findDuplicates(video, video.fingerprint);
+
+    if (video.duplicates.length > 0 && duplicatePolicy === 'reject') {
+      fs.rmSync(file.path, { force: true });
+      throw Object.assign(new Error(`This file has already been uploaded as "${video.duplicates[0].title}"`), {
+        status: 409,
+        duplicates: video.duplicates
+      });
+    }
+  }
+
+  const storage = getStorage();
+  await storage.put(file.filename, file.path, { contentType: file.mimeType });
+
+  let savedVideo;
+  try {
+    savedVideo = await video.save();
+  } catch (error) {
+    await storage.delete(file.filename).catch(() => {});
+    throw error;
+  }
+
+  // Queue processing; if this fails the video stays 'pending' and is
+  // requeued by recoverOrphanedVideos on the next boot
+  try {
+    await enqueueJob('processVideo', { videoId: String(savedVideo._id) });
+  } catch (queueError) {
+    console.error('Failed to queue processing:', queueError);
+  }
+
+  return savedVideo;
+};
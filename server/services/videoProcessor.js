@@ -1,133 +1,95 @@
 import Video from '../models/Video.js';
 import path from 'path';
 import fs from 'fs';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegStatic from 'ffmpeg-static';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import ffmpeg, { probeVideo, getProgressFraction, bindAbortSignal } from './ffmpeg.js';
+import { generatePoster, generateStoryboard, generatePreview } from './thumbnailGenerator.js';
+import { transcodeToHls } from './hlsTranscoder.js';
+import { planFrameSamples } from './frameSampler.js';
+import { enqueueJob, throwIfCancelled } from './jobQueue.js';
+import { createProgressReporter, CLIPPING_STAGES, TRANSCODING_STAGES } from './progressReporter.js';
+import { cutClip } from './clipGenerator.js';
+import { fingerprintVideo, findDuplicates, getDuplicatePolicy } from './fingerprint.js';
+import { findBlocklistMatch, applyPendingBlock } from './blocklist.js';
+import { moderateFrame } from './moderation/index.js';
+import { saveModerationReport } from './moderation/reportStore.js';
+import { applyModerationPolicy, getModerationPolicy, DEFAULT_MODERATION_POLICY } from './moderation/policy.js';
+import { recordProcessingTime } from './quota.js';
+import { getStorage } from './storage/index.js';
+import { getMediaDir, getFramesTempDir, getStagingDir } from '../utils/mediaPaths.js';
 
-// Set ffmpeg path
-ffmpeg.setFfmpegPath(ffmpegStatic);
+// frames is the list returned by extractFrames; when omitted every file in
+// framesDir is analyzed without timestamps. policy decides which flags count
+// and what happens when they do. onProgress gets the fraction done.
+export async function analyzeVideoSafety(framesDir, frames, { policy = DEFAULT_MODERATION_POLICY, onProgress, signal } = {}) {
+  const samples = frames || fs.readdirSync(framesDir).map(file => ({ file, timestamp: null }));
+  console.log(`🎬 Analyzing ${samples.length} frames for safety`);
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+  // Every frame is checked, not just up to the first hit, so the report shows
+  // admins the full picture
+  const results = [];
 
-async function analyzeFrame(imagePath) {
-  try {
-    const image = fs.readFileSync(imagePath);
-    const result = await model.generateContent([
-      "Analyze this image for inappropriate content. Look specifically for: 1) Nudity (exposed breasts, genitals, buttocks), 2) Sexual activity or suggestive poses, 3) Graphic violence or blood, 4) Drug use, 5) Hate symbols. If you detect any of these, respond 'FLAGGED'. If the image shows normal content like faces, clothed people, everyday activities, respond 'SAFE'. Reply only with 'SAFE' or 'FLAGGED'.",
-      {
-        inlineData: {
-          data: image.toString("base64"),
-          mimeType: "image/jpeg",
-        },
-      },
-    ]);
-    
-    const response = result.response.text().trim();
-    console.log(`🤖 Raw AI response: "${response}"`);
-    return response;
-    
-  } catch (error) {
-    console.error(`❌ AI analysis failed: ${error.message}`);
-    
-    // Check if it's an API error (quota, invalid key, etc.)
-    if (error.message.includes('quota') || 
-        error.message.includes('429') || 
-        error.message.includes('API key not valid') ||
-        error.message.includes('GoogleGenerativeAI')) {
-      
-      console.log('⚠️ AI API not working - using random scoring fallback');
-      throw new Error('AI_API_NOT_WORKING');
-    }
-    
-    // For other errors, default to SAFE
-    console.log('⚠️ AI analysis failed, defaulting to SAFE');
-    return "SAFE";
+  for (const { file, timestamp } of samples) {
+    throwIfCancelled(signal);
+    console.log(`📸 Analyzing frame: ${file}`);
+    const { verdict, category, confidence, provider, errors } = await moderateFrame(path.join(framesDir, file), { signal });
+    console.log(`🔍 Verdict for ${file}: ${verdict}${provider ? ` (${provider})` : ''}`);
+    results.push({ frame: file, timestamp, verdict, category, confidence, provider, providerErrors: errors });
+    onProgress?.(results.length / samples.length);
   }
-}
 
-// Random scoring fallback when AI is not working
-function generateRandomScore() {
-  // Generate random score between 0-100
-  const score = Math.floor(Math.random() * 101);
-  console.log(`🎲 Generated random score: ${score}`);
-  return score;
-}
+  const { status, action, flagged } = applyModerationPolicy(results, policy);
 
-export async function analyzeVideoSafety(framesDir) {
-  const frames = fs.readdirSync(framesDir);
-  console.log(`🎬 Analyzing ${frames.length} frames for safety`);
-  
-  let usingRandomScoring = false;
-  
-  // Try AI analysis first
-  for (const frame of frames) {
-    console.log(`📸 Analyzing frame: ${frame}`);
-    
-    try {
-      const verdict = await analyzeFrame(path.join(framesDir, frame));
-      console.log(`🔍 AI Response for ${frame}: "${verdict}"`);
-      
-      if (verdict.includes("FLAGGED")) {
-        console.log(`⚠️ Video FLAGGED due to frame: ${frame}`);
-        return {
-          status: "flagged",
-          confidence: 0.9,
-          analyzedAt: new Date(),
-          flaggedFrame: frame,
-          method: "AI"
-        };
-      }
-    } catch (error) {
-      if (error.message === 'AI_API_NOT_WORKING') {
-        console.log(`🎲 AI not working - switching to random scoring system`);
-        usingRandomScoring = true;
-        break;
-      }
-      
-      // Re-throw other errors
-      throw error;
-    }
+  if (action) {
+    const strongest = flagged.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+    console.log(`⚠️ ${flagged.length} frame(s) crossed the ${policy.category} policy (${action}), strongest: ${strongest.frame}`);
+    return {
+      status,
+      action,
+      confidence: strongest.confidence,
+      analyzedAt: new Date(),
+      flaggedFrame: strongest.frame,
+      category: strongest.category,
+      provider: strongest.provider,
+      frames: results,
+      note: action === 'reject'
+        ? `Automatically rejected: ${strongest.category || 'inappropriate content'} in ${flagged.length} frame(s)`
+        : action === 'review'
+          ? `${flagged.length} flagged frame(s) - queued for review by the ${policy.category} policy`
+          : undefined
+    };
   }
-  
-  // If AI is not working, use random scoring
-  if (usingRandomScoring) {
-    const randomScore = generateRandomScore();
-    
-    if (randomScore >= 50) {
-      console.log(`⚠️ Video FLAGGED by random scoring: ${randomScore} >= 50`);
-      return {
-        status: "flagged",
-        confidence: randomScore / 100,
-        analyzedAt: new Date(),
-        method: "random",
-        score: randomScore,
-        note: `AI unavailable - random score: ${randomScore} (flagged because >= 50)`
-      };
-    } else {
-      console.log(`✅ Video marked as SAFE by random scoring: ${randomScore} < 50`);
-      return {
-        status: "safe",
-        confidence: (100 - randomScore) / 100,
-        analyzedAt: new Date(),
-        method: "random",
-        score: randomScore,
-        note: `AI unavailable - random score: ${randomScore} (safe because < 50)`
-      };
-    }
+
+  if (status === 'review') {
+    // Flags below minFlaggedFrames, or a single undecided frame, mean nobody
+    // has actually cleared the video
+    const note = flagged.length > 0
+      ? `${flagged.length} flagged frame(s), fewer than the ${policy.minFlaggedFrames} needed to act - queued for manual review`
+      : "No moderation provider could decide - queued for manual review";
+    console.log(`🧑‍⚖️ ${note}`);
+    return {
+      status: "review",
+      confidence: 0,
+      analyzedAt: new Date(),
+      frames: results,
+      note
+    };
   }
-  
-  console.log(`✅ All frames analyzed by AI - Video marked as SAFE`);
+
+  console.log(`✅ All frames analyzed - Video marked as SAFE`);
   return {
     status: "safe",
-    confidence: 0.9,
+    // Flags the policy ignores say nothing about how safe the rest is
+    confidence: Math.min(...results.filter(result => result.verdict === 'safe').map(result => result.confidence), 1),
     analyzedAt: new Date(),
-    method: "AI"
+    provider: [...new Set(results.map(result => result.provider))].join(','),
+    frames: results
   };
 }
 
-const extractFrames = (videoPath, outputFolder, numFrames = 5) => {
+// Resolves to [{ file, timestamp }] so verdicts can be traced back to a point
+// in the video. Without planned timestamps (unknown duration) fall back to
+// evenly spaced percentages.
+const extractFrames = (videoPath, outputFolder, timestamps = [], { duration, onProgress, signal } = {}) => {
   return new Promise((resolve, reject) => {
     if (!fs.existsSync(outputFolder)) {
       fs.mkdirSync(outputFolder, { recursive: true });
@@ -137,105 +99,285 @@ const extractFrames = (videoPath, outputFolder, numFrames = 5) => {
       return reject(new Error(`Video file not found: ${videoPath}`));
     }
 
-    ffmpeg(videoPath)
+    const points = timestamps.length > 0
+      ? timestamps
+      : [1, 2, 3, 4, 5].map(i => `${Math.round(i / 6 * 10000) / 100}%`);
+
+    bindAbortSignal(ffmpeg(videoPath), signal)
+      .on('progress', (progress) => onProgress?.(getProgressFraction(progress, duration)))
       .on('end', () => {
-        resolve(outputFolder);
+        resolve(points.map((timestamp, i) => ({
+          file: `frame-${i + 1}.jpg`,
+          timestamp: typeof timestamp === 'number' ? timestamp : null
+        })));
       })
       .on('error', (err) => {
         reject(err);
       })
       .screenshots({
-        count: numFrames,
+        timestamps: points,
         folder: outputFolder,
-        size: '640x480',
+        // Fixed width, height follows the source aspect ratio
+        size: '640x?',
         filename: 'frame-%i.jpg'
       });
   });
 };
 
-export const processVideo = async (videoId, io) => {
+// Shapes a blocklist hit like an analyzeVideoSafety result so the matched
+// frames are kept in the moderation report as evidence
+const describeBlocklistMatch = ({ entry, frames }) => ({
+  status: "flagged",
+  confidence: 1,
+  analyzedAt: new Date(),
+  provider: 'blocklist',
+  note: `Matches previously blocked content${entry.sourceTitle ? ` ("${entry.sourceTitle}")` : ''}: ${entry.reason}`,
+  frames: frames.map(({ file, timestamp }) => ({
+    frame: file,
+    timestamp,
+    verdict: 'flagged',
+    category: 'blocklist',
+    confidence: 1,
+    provider: 'blocklist'
+  }))
+});
+
+// Records (or clears) which blocklist entry the video matched
+const toBlocklistMatchUpdate = (blocked) => {
+  if (!blocked) return { $unset: { blocklistMatch: 1 } };
+
+  return {
+    blocklistMatch: {
+      entry: blocked.entry._id,
+      sourceVideo: blocked.entry.sourceVideo,
+      sourceTitle: blocked.entry.sourceTitle,
+      reason: blocked.entry.reason,
+      matchedFrames: blocked.frames.length
+    }
+  };
+};
+
+// Ends processing without analysis when policy forbids duplicate uploads
+const rejectAsDuplicate = async (videoId, io, userId, duplicate) => {
+  const rejectionReason = `${duplicate.match === 'exact' ? 'Identical' : 'Near-identical'} copy of "${duplicate.title}"`;
+
+  const rejected = await Video.findOneAndUpdate({ _id: videoId, processingStatus: 'processing' }, {
+    processingStatus: 'rejected',
+    processingProgress: 100,
+    rejectionReason,
+    $unset: { processingStage: 1 }
+  });
+
+  if (rejected && io && userId) {
+    io.to(`user-${userId}`).emit('videoProcessed', {
+      videoId,
+      status: 'rejected',
+      error: rejectionReason,
+      duplicateOf: duplicate.video
+    });
+  }
+};
+
+// ffmpeg reads a local path; with remote storage that is a downloaded copy,
+// so callers must release() it when done
+const openStoredFile = async (key, { signal, missingMessage = `Video file not found: ${key}` } = {}) => {
+  const storage = getStorage();
+  if (!key || !(await storage.stat(key))) {
+    throw Object.assign(new Error(missingMessage), { transient: false });
+  }
+  return storage.getLocalCopy(key, { signal });
+};
+
+// Job handler for 'processVideo'. Errors propagate so the job queue can retry
+// transient failures; handleProcessingFailure runs once retries are exhausted.
+// signal aborts when the video is cancelled or deleted.
+export const processVideo = async (videoId, io, { signal } = {}) => {
   console.log(`🎬 Processing video ${videoId}`);
-  
+
+  const video = await Video.findById(videoId);
+  if (!video) return;
+
+  const userId = video.uploadedBy;
+  const tempDir = getFramesTempDir(videoId);
+  const report = createProgressReporter({ io, videoId, userId });
+  let source = null;
+
   try {
-    const video = await Video.findById(videoId);
-    if (!video) return;
+    // Step 1: Start processing, unless the video was cancelled after the job
+    // was claimed
+    const started = await Video.findOneAndUpdate(
+      { _id: videoId, processingStatus: { $in: ['pending', 'processing'] } },
+      { processingStatus: 'processing', processingProgress: 0 }
+    );
+    if (!started) {
+      console.log(`🛑 Video ${videoId} was cancelled before processing started`);
+      return;
+    }
 
-    const userId = video.uploadedBy;
-    const tempDir = path.join(process.cwd(), 'temp', `frames-${videoId}`);
+    // Step 2: Probe real stream info
+    throwIfCancelled(signal);
+    report('probing');
+    console.log(`🔎 Probing ${video.storageKey}`);
+    source = await openStoredFile(video.storageKey, { signal });
+    const probe = await probeVideo(source.path);
+
+    if (!probe.hasVideo) {
+      throw Object.assign(new Error('No video stream found in file'), { transient: false });
+    }
 
-    // Step 1: Start processing
     await Video.findByIdAndUpdate(videoId, {
-      processingStatus: 'processing',
-      processingProgress: 20
+      duration: probe.duration,
+      metadata: probe.metadata
     });
 
-    if (io && userId) {
-      io.to(`user-${userId}`).emit('videoProgress', {
-        videoId,
-        progress: 20,
-        status: 'processing'
+    // Step 3: Poster, scrub-preview storyboard and hover preview. These are
+    // cosmetic, so a failure here is logged rather than failing the whole job.
+    throwIfCancelled(signal);
+    report('thumbnails');
+    try {
+      const mediaDir = getMediaDir(videoId);
+      const poster = await generatePoster(source.path, mediaDir, probe.duration, { signal });
+      const storyboard = await generateStoryboard(source.path, mediaDir, probe.duration, {
+        onProgress: (fraction) => report('thumbnails', fraction),
+        signal
       });
+      await Video.findByIdAndUpdate(videoId, { thumbnails: { poster, storyboard } });
+    } catch (error) {
+      throwIfCancelled(signal);
+      console.error(`⚠️ Thumbnail generation failed for ${videoId}: ${error.message}`);
     }
 
-    // Step 2: Extract frames
-    console.log(`📸 Extracting frames from ${video.filePath}`);
-    await extractFrames(video.filePath, tempDir, 5);
+    try {
+      const preview = await generatePreview(source.path, getMediaDir(videoId), probe.duration, { signal });
+      await Video.findByIdAndUpdate(videoId, { 'thumbnails.preview': preview });
+    } catch (error) {
+      throwIfCancelled(signal);
+      console.error(`⚠️ Preview generation failed for ${videoId}: ${error.message}`);
+    }
 
-    await Video.findByIdAndUpdate(videoId, {
-      processingProgress: 60
+    // Step 4: Extract frames at scene changes plus even coverage
+    throwIfCancelled(signal);
+    report('sampling');
+    const timestamps = await planFrameSamples(source.path, probe.duration, video.category, {
+      onProgress: (fraction) => report('sampling', fraction),
+      signal
+    });
+    console.log(`📸 Extracting ${timestamps.length} frames from ${video.storageKey}`);
+    report('extracting');
+    const frames = await extractFrames(source.path, tempDir, timestamps, {
+      duration: probe.duration,
+      onProgress: (fraction) => report('extracting', fraction),
+      signal
     });
 
-    if (io && userId) {
-      io.to(`user-${userId}`).emit('videoProgress', {
-        videoId,
-        progress: 60,
-        status: 'processing'
-      });
+    // Step 5: Fingerprint the file and frames and look for earlier uploads of
+    // the same content in the organization
+    throwIfCancelled(signal);
+    report('fingerprinting');
+    const fingerprint = await fingerprintVideo(source.path, tempDir, frames, {
+      sha256: video.fingerprint?.sha256,
+      onProgress: (fraction) => report('fingerprinting', fraction),
+      signal
+    });
+    const fingerprinted = await Video.findByIdAndUpdate(videoId, {
+      fingerprint: { sha256: fingerprint.sha256, frameHashes: fingerprint.frameHashes, computedAt: new Date() }
+    }, { new: true });
+
+    // An admin rejected the video while it was being processed
+    if (fingerprinted?.pendingBlock?.reason) {
+      await applyPendingBlock(fingerprinted);
     }
 
-    // Step 3: Analyze with AI
-    console.log(`🤖 Analyzing frames in ${tempDir}`);
+    const duplicatePolicy = getDuplicatePolicy();
+    if (duplicatePolicy !== 'off') {
+      const duplicates = await findDuplicates(video, fingerprint);
+      await Video.findByIdAndUpdate(videoId, { duplicates });
+
+      if (duplicates.length > 0) {
+        console.log(`👯 Video ${videoId} matches ${duplicates.length} existing video(s)`);
+
+        if (duplicatePolicy === 'reject') {
+          await rejectAsDuplicate(videoId, io, userId, duplicates[0]);
+          return;
+        }
+
+        if (io && userId) {
+          io.to(`user-${userId}`).emit('videoDuplicate', { videoId, title: video.title, duplicates });
+        }
+      }
+    }
+
+    // Step 6: Frames matching blocked content flag the video without asking a
+    // moderation provider; everything else is analyzed with AI
+    const blocked = await findBlocklistMatch(fingerprint.hashedFrames, { excludeVideo: videoId });
+    await Video.findByIdAndUpdate(videoId, toBlocklistMatchUpdate(blocked));
+
+    report('analyzing');
     let analysis;
-    
-    try {
-      analysis = await analyzeVideoSafety(tempDir);
-    } catch (error) {
-      console.error(`❌ AI Analysis failed: ${error.message}`);
-      
-      // Check if it's a quota error and provide user-friendly message
-      if (error.message.includes('quota') || error.message.includes('429') || error.message === 'AI_QUOTA_EXCEEDED') {
-        analysis = {
-          status: "safe",
-          confidence: 0.5,
-          analyzedAt: new Date(),
-          note: "Content analysis temporarily unavailable - video marked as safe"
-        };
-        console.log(`⚠️ AI quota exceeded, defaulting to SAFE for video ${videoId}`);
-      } else {
-        // For other AI errors, also default to safe
+
+    if (blocked) {
+      console.log(`🚫 Video ${videoId} matches blocked content (${blocked.frames.length} frame(s))`);
+      analysis = describeBlocklistMatch(blocked);
+    } else {
+      console.log(`🤖 Analyzing frames in ${tempDir}`);
+      try {
+        analysis = await analyzeVideoSafety(tempDir, frames, {
+          policy: await getModerationPolicy(video.category),
+          onProgress: (fraction) => report('analyzing', fraction),
+          signal
+        });
+      } catch (error) {
+        throwIfCancelled(signal);
+        // Never fall back to 'safe': an unanalyzed video goes to a human
+        console.error(`❌ Safety analysis failed: ${error.message}`);
         analysis = {
-          status: "safe",
-          confidence: 0.5,
+          status: "review",
+          confidence: 0,
           analyzedAt: new Date(),
-          note: "Content analysis unavailable - video marked as safe by default"
+          note: "Content analysis unavailable - queued for manual review"
         };
-        console.log(`⚠️ AI analysis failed, defaulting to SAFE for video ${videoId}`);
       }
     }
 
-    // Step 4: Complete
-    await Video.findByIdAndUpdate(videoId, {
-      processingStatus: 'completed',
+    throwIfCancelled(signal);
+    report('finalizing');
+    await saveModerationReport(videoId, analysis, tempDir);
+
+    // Step 7: Complete. Only a video still marked 'processing' is completed,
+    // so a cancel that lands during this step is not overwritten. A policy
+    // set to auto-reject ends the video here instead.
+    const rejected = analysis.action === 'reject';
+    const completed = await Video.findOneAndUpdate({ _id: videoId, processingStatus: 'processing' }, {
+      processingStatus: rejected ? 'rejected' : 'completed',
+      ...(rejected && { rejectionReason: analysis.note }),
       processingProgress: 100,
+      $unset: { processingStage: 1 },
       sensitivityStatus: analysis.status,
       sensitivityScore: analysis.confidence * 100,
+      moderation: {
+        provider: analysis.provider,
+        analyzedAt: analysis.analyzedAt,
+        note: analysis.note
+      },
       processedAt: new Date()
     });
 
+    if (!completed) {
+      console.log(`🛑 Video ${videoId} was cancelled or removed before completion`);
+      return;
+    }
+
+    try {
+      await recordProcessingTime(userId, probe.duration);
+    } catch (error) {
+      console.error(`⚠️ Failed to record processing time for ${videoId}: ${error.message}`);
+    }
+
     if (io && userId) {
       io.to(`user-${userId}`).emit('videoProcessed', {
         videoId,
-        status: 'completed',
+        status: rejected ? 'rejected' : 'completed',
+        error: rejected ? analysis.note : undefined,
         analysis: {
           status: analysis.status,
           confidence: analysis.confidence,
@@ -244,47 +386,230 @@ export const processVideo = async (videoId, io) => {
       });
     }
 
+    console.log(`✅ Video ${videoId} processed: ${rejected ? 'rejected' : analysis.status}`);
+    if (rejected) return;
+
+    // The progressive stream is playable now; the HLS ladder follows in its own job
+    if (process.env.HLS_ENABLED !== 'false') {
+      await enqueueJob('transcodeVideo', { videoId: String(videoId) });
+    }
+  } finally {
     // Cleanup
     if (fs.existsSync(tempDir)) {
       fs.rmSync(tempDir, { recursive: true, force: true });
     }
+    await source?.release();
+  }
+};
 
-    console.log(`✅ Video ${videoId} processed: ${analysis.status}`);
-
-  } catch (error) {
-    console.error(`❌ Processing failed for ${videoId}:`, error.message);
-    
-    // Provide user-friendly error message
-    let userFriendlyError = "Video processing completed with default settings";
-    
-    if (error.message.includes('quota') || error.message.includes('429')) {
-      userFriendlyError = "Content analysis temporarily unavailable - video marked as safe";
-    } else if (error.message.includes('ffmpeg') || error.message.includes('frame')) {
-      userFriendlyError = "Video processing completed with limited analysis";
-    }
-    
-    await Video.findByIdAndUpdate(videoId, {
-      processingStatus: 'completed',
-      sensitivityStatus: 'safe',
-      sensitivityScore: 50,
-      processingProgress: 100,
-      processedAt: new Date(),
-      processingError: userFriendlyError
+// Job handler for 'createClip': cuts the clip's file out of its source video,
+// then hands the clip to the normal processing pipeline
+export const createClip = async (videoId, io, { signal } = {}) => {
+  // Same guard as processVideo: a clip cancelled after the job was claimed
+  // is not cut
+  const video = await Video.findOneAndUpdate(
+    { _id: videoId, processingStatus: { $in: ['pending', 'processing'] } },
+    { processingStatus: 'processing', processingProgress: 0 }
+  );
+  if (!video) {
+    console.log(`🛑 Clip ${videoId} was deleted or cancelled before it was cut`);
+    return;
+  }
+
+  const source = await Video.findById(video.sourceVideo);
+  const sourceFile = await openStoredFile(source?.storageKey, { signal, missingMessage: 'Source video file not found' });
+
+  // Cut into staging, then put the finished clip into storage
+  const stagingDir = getStagingDir();
+  fs.mkdirSync(stagingDir, { recursive: true });
+  const clipPath = path.join(stagingDir, video.storageKey);
+
+  try {
+    const report = createProgressReporter({ io, videoId, userId: video.uploadedBy, stages: CLIPPING_STAGES });
+    report('clipping');
+
+    console.log(`✂️ Cutting ${video.clip.start}s-${video.clip.end}s from ${source._id}`);
+    const fileSize = await cutClip(sourceFile.path, clipPath, {
+      start: video.clip.start,
+      end: video.clip.end,
+      hasAudio: !!source.metadata?.audioCodec,
+      onProgress: (fraction) => report('clipping', fraction),
+      signal
     });
 
-    const video = await Video.findById(videoId);
-    if (io && video?.uploadedBy) {
-      io.to(`user-${video.uploadedBy}`).emit('videoProcessed', {
-        videoId,
-        status: 'completed',
-        analysis: {
-          status: 'safe',
-          confidence: 0.5,
-          note: userFriendlyError
-        }
-      });
+    throwIfCancelled(signal);
+    await getStorage().put(video.storageKey, clipPath, { contentType: video.mimeType });
+    await Video.findByIdAndUpdate(videoId, { fileSize });
+  } finally {
+    fs.rmSync(clipPath, { force: true });
+    await sourceFile.release();
+  }
+
+  await enqueueJob('processVideo', { videoId: String(videoId) });
+};
+
+// Job handler for 'rescanVideo': samples and moderates an already processed
+// video again under the current policy, providers and blocklist. The video
+// stays playable throughout and keeps its verdict if the scan fails. Resolves
+// to { title, from, to } for the re-scan summary, or { skipped: true } when
+// the video was deleted, reprocessed, rejected or (unless includeOverridden)
+// overridden by an admin since the re-scan was queued.
+export const rescanVideo = async (videoId, { signal, includeOverridden = false } = {}) => {
+  const stillEligible = {
+    _id: videoId,
+    processingStatus: 'completed',
+    ...(!includeOverridden && { 'moderation.overriddenAt': { $exists: false } })
+  };
+
+  const video = await Video.findOne(stillEligible);
+  if (!video) return { skipped: true };
+
+  const source = await openStoredFile(video.storageKey, { signal });
+  const tempDir = getFramesTempDir(videoId);
+
+  try {
+    const timestamps = await planFrameSamples(source.path, video.duration, video.category, { signal });
+    const frames = await extractFrames(source.path, tempDir, timestamps, { duration: video.duration, signal });
+
+    const fingerprint = await fingerprintVideo(source.path, tempDir, frames, {
+      sha256: video.fingerprint?.sha256,
+      signal
+    });
+    const blocked = await findBlocklistMatch(fingerprint.hashedFrames, { excludeVideo: videoId });
+
+    // Unlike processVideo, a failed analysis is not turned into 'review':
+    // the error propagates and the existing verdict stands
+    const analysis = blocked
+      ? describeBlocklistMatch(blocked)
+      : await analyzeVideoSafety(tempDir, frames, { policy: await getModerationPolicy(video.category), signal });
+
+    throwIfCancelled(signal);
+
+    // Checked again: an override, reprocess or file switch may have landed
+    // while the scan ran. Override details in moderation are kept.
+    const rejected = analysis.action === 'reject';
+    const updated = await Video.findOneAndUpdate(stillEligible, {
+      ...(rejected && { processingStatus: 'rejected', rejectionReason: analysis.note }),
+      sensitivityStatus: analysis.status,
+      sensitivityScore: analysis.confidence * 100,
+      'moderation.provider': analysis.provider ?? null,
+      'moderation.analyzedAt': analysis.analyzedAt,
+      'moderation.note': analysis.note ?? null,
+      fingerprint: { sha256: fingerprint.sha256, frameHashes: fingerprint.frameHashes, computedAt: new Date() },
+      ...toBlocklistMatchUpdate(blocked)
+    });
+    if (!updated) {
+      console.log(`⏭️ Skipped re-scan result for ${videoId}: the video changed while it was scanned`);
+      return { skipped: true };
     }
-    
-    console.log(`⚠️ Processing failed, marked video ${videoId} as safe with user-friendly message`);
+
+    await saveModerationReport(videoId, analysis, tempDir);
+
+    const to = rejected ? 'rejected' : analysis.status;
+    console.log(`🔁 Re-scanned ${videoId}: ${video.sensitivityStatus} -> ${to}`);
+    return { title: video.title, from: video.sensitivityStatus, to };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    await source.release();
+  }
+};
+
+// Short explanation for the uploader; the raw error goes to technicalError
+const describeFailure = (error) => {
+  const message = error.message || '';
+
+  if (message.includes('No video stream') || message.includes('Invalid data found')) {
+    return 'The file does not contain a playable video stream';
+  }
+  if (message.includes('Video file not found')) {
+    return 'The uploaded file is missing from storage';
+  }
+  if (message.includes('Source video file not found')) {
+    return 'The video this clip was cut from is no longer available';
+  }
+  if (message.includes('ffmpeg') || message.includes('ffprobe')) {
+    return 'The video could not be decoded';
   }
+  return 'Video processing failed';
+};
+
+// onFailed hook for 'processVideo': runs once retries are exhausted or the
+// error is permanent
+export const handleProcessingFailure = async (videoId, io, error) => {
+  console.error(`❌ Processing failed for ${videoId}:`, error.message);
+
+  const processingError = describeFailure(error);
+
+  const video = await Video.findByIdAndUpdate(videoId, {
+    processingStatus: 'failed',
+    processingError,
+    technicalError: error.message,
+    $unset: { processingStage: 1 }
+  });
+
+  if (io && video?.uploadedBy) {
+    io.to(`user-${video.uploadedBy}`).emit('videoProcessed', {
+      videoId,
+      status: 'failed',
+      error: processingError
+    });
+  }
+};
+
+// Job handler for 'transcodeVideo': builds the HLS ladder for a processed video
+export const transcodeVideo = async (videoId, io, { signal } = {}) => {
+  const video = await Video.findById(videoId);
+  if (!video) return;
+
+  console.log(`🎞️ Building HLS ladder for ${videoId}`);
+  await Video.findByIdAndUpdate(videoId, { 'hls.status': 'processing', $unset: { 'hls.error': 1 } });
+
+  // The video is already playable, so transcoding progress is reported
+  // alongside a 'completed' status and is not written to processingProgress
+  const report = createProgressReporter({
+    io,
+    videoId,
+    userId: video.uploadedBy,
+    status: 'completed',
+    stages: TRANSCODING_STAGES,
+    persist: false
+  });
+  report('transcoding');
+
+  const source = await openStoredFile(video.storageKey, { signal });
+  let renditions;
+  try {
+    renditions = await transcodeToHls(source.path, path.join(getMediaDir(videoId), 'hls'), {
+      metadata: video.metadata,
+      hasAudio: !!video.metadata?.audioCodec,
+      signal,
+      onProgress: ({ index, total, ...progress }) => {
+        report('transcoding', (index + getProgressFraction(progress, video.duration)) / total);
+      }
+    });
+  } finally {
+    await source.release();
+  }
+
+  await Video.findByIdAndUpdate(videoId, {
+    hls: { status: 'ready', renditions, generatedAt: new Date() }
+  });
+
+  if (io && video.uploadedBy) {
+    io.to(`user-${video.uploadedBy}`).emit('videoTranscoded', { videoId, renditions });
+  }
+
+  console.log(`✅ HLS ladder ready for ${videoId}: ${renditions.map(r => r.name).join(', ')}`);
+};
+
+export const handleTranscodeFailure = async (videoId, error) => {
+  console.error(`❌ HLS transcoding failed for ${videoId}:`, error.message);
+  await Video.findByIdAndUpdate(videoId, { 'hls.status': 'failed', 'hls.error': error.message });
+};
+
+// A half-built ladder is never advertised, so drop it and leave the
+// progressive stream in place
+export const handleTranscodeCancelled = async (videoId) => {
+  fs.rmSync(path.join(getMediaDir(videoId), 'hls'), { recursive: true, force: true });
+  await Video.findByIdAndUpdate(videoId, { 'hls.status': 'none', $unset: { 'hls.error': 1 } });
 };
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { probeVideo } from './ffmpeg.js';
+
+const HEADER_BYTES = 64;
+// MPEG-TS packets are 188 bytes; checking the second sync byte avoids
+// mistaking any file that starts with 'G' for a transport stream
+const TS_PACKET_SIZE = 188;
+
+const DEFAULT_CODECS = ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'mpeg2video'];
+const DEFAULT_MAX_DURATION = 2 * 60 * 60;
+
+const getConfig = () => ({
+  allowedTypes: process.env.ALLOWED_VIDEO_TYPES?.split(',') || ['video/mp4'],
+  allowedCodecs: process.env.ALLOWED_VIDEO_CODECS?.split(',').map(codec => codec.trim()) || DEFAULT_CODECS,
+  maxDuration: parseInt(process.env.MAX_VIDEO_DURATION) || DEFAULT_MAX_DURATION
+});
+
+const rejection = (status, msg) => Object.assign(new Error(msg), { status });
+
+/**
+ * Identifies the container from the file's leading bytes. Resolves to the MIME
+ * types that container may legitimately be uploaded as, or null when the
+ * bytes match no known video format.
+ */
+export const detectContainer = (buffer) => {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  // ISO base media (MP4, MOV, 3GP): size, then 'ftyp' and the major brand
+  if (buffer.length >= 12 && ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return { container: 'mov', types: ['video/quicktime'] };
+    if (brand.startsWith('3g')) return { container: '3gp', types: ['video/3gpp', 'video/mp4'] };
+    return { container: 'mp4', types: ['video/mp4', 'video/quicktime', 'video/x-m4v'] };
+  }
+
+  // EBML header shared by Matroska and WebM
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return { container: 'matroska', types: ['video/webm', 'video/x-matroska'] };
+  }
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') {
+    return { container: 'avi', types: ['video/x-msvideo', 'video/avi'] };
+  }
+
+  if (ascii(0, 3) === 'FLV') {
+    return { container: 'flv', types: ['video/x-flv'] };
+  }
+
+  if (ascii(0, 4) === 'OggS') {
+    return { container: 'ogg', types: ['video/ogg'] };
+  }
+
+  // MPEG program stream pack header
+  if (buffer.readUInt32BE(0) === 0x000001ba) {
+    return { container: 'mpeg', types: ['video/mpeg'] };
+  }
+
+  if (buffer[0] === 0x47 && buffer[TS_PACKET_SIZE] === 0x47) {
+    return { container: 'mpegts', types: ['video/mp2t', 'video/mpeg'] };
+  }
+
+  // ASF (WMV) header GUID
+  if (buffer.toString('hex', 0, 4) === '3026b275') {
+    return { container: 'asf', types: ['video/x-ms-wmv', 'video/x-ms-asf'] };
+  }
+
+  return null;
+};
+
+const readHeader = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.max(HEADER_BYTES, TS_PACKET_SIZE + 1));
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Checks an uploaded file before a Video is created for it: the magic bytes
+ * must match an allowed container, and ffprobe must find a decodable video
+ * stream in an allowed codec within the duration limit.
+ * Resolves to the probe result; rejects with an error carrying a 4xx status.
+ */
+export const inspectVideoFile = async (filePath) => {
+  const { allowedTypes, allowedCodecs, maxDuration } = getConfig();
+
+  const header = readHeader(filePath);
+  if (header.length < 12) {
+    throw rejection(422, 'File is too small to be a video');
+  }
+
+  const detected = detectContainer(header);
+  if (!detected) {
+    throw rejection(415, 'File content is not a recognised video format');
+  }
+  if (!detected.types.some(type => allowedTypes.includes(type))) {
+    throw rejection(415, `${detected.container.toUpperCase()} files are not accepted (allowed: ${allowedTypes.join(', ')})`);
+  }
+
+  let probe;
+  try {
+    probe = await probeVideo(filePath);
+  } catch (error) {
+    throw rejection(422, 'Video file is corrupt or unreadable');
+  }
+
+  if (!probe.hasVideo) {
+    throw rejection(422, 'File contains no video stream');
+  }
+  if (!allowedCodecs.includes(probe.metadata.codec)) {
+    throw rejection(415, `Video codec "${probe.metadata.codec}" is not supported (allowed: ${allowedCodecs.join(', ')})`);
+  }
+  if (!probe.duration) {
+    throw rejection(422, 'Video duration could not be determined');
+  }
+  if (probe.duration > maxDuration) {
+    throw rejection(422, `Video is ${Math.round(probe.duration / 60)} minutes long; the limit is ${Math.round(maxDuration / 60)} minutes`);
+  }
+
+  return { ...probe, container: detected.container };
+};
@@ -0,0 +1,46 @@
+import path from 'path';
+
+/**
+ * Filesystem locations for derived media and scratch space
+ * Derived assets live in media/, originals in uploads/; neither is served
+ * directly, every file goes through an access-checked route
+ */
+
+export const getMediaRoot = () => path.join(process.cwd(), 'media');
+
+/**
+ * Root of the local storage driver, where original files are kept unless
+ * STORAGE_LOCAL_ROOT says otherwise
+ */
+export const getUploadsDir = () => path.join(process.cwd(), 'uploads');
+
+/**
+ * Scratch space for in-progress work
+ */
+export const getTempRoot = () => path.join(process.cwd(), 'temp');
+
+/**
+ * Directory holding a video's generated assets (poster, storyboard, ...)
+ */
+export const getMediaDir = (videoId) => path.join(getMediaRoot(), String(videoId));
+
+/**
+ * Scratch directory for frames extracted during processing
+ */
+export const getFramesTempDir = (videoId) => path.join(getTempRoot(), `frames-${videoId}`);
+
+/**
+ * Partial file for a resumable (tus) upload that is still receiving chunks
+ */
+export const getPartialUploadPath = (sessionId) => path.join(getTempRoot(), `upload-${sessionId}`);
+
+/**
+ * Download target for a video being imported from a URL
+ */
+export const getImportTempPath = (jobId) => path.join(getTempRoot(), `import-${jobId}`);
+
+/**
+ * Local files on their way into or out of storage: received uploads, cut
+ * clips and copies of stored files for ffmpeg to read
+ */
+export const getStagingDir = () => path.join(getTempRoot(), 'staging');
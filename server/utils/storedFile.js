@@ -0,0 +1,44 @@
+import { pipeline } from 'stream/promises';
+import { getStorage } from '../services/storage/index.js';
+
+/**
+ * Streams a stored file to the response, honouring a single Range header so
+ * players can seek. size is the file's size from storage.stat().
+ */
+export const sendStoredFile = async (res, key, { range, size, contentType }) => {
+  let stream;
+
+  if (range) {
+    const [start, end] = range.replace(/bytes=/, '').split('-');
+    const startByte = parseInt(start, 10);
+    const endByte = end ? Math.min(parseInt(end, 10), size - 1) : size - 1;
+
+    if (!Number.isInteger(startByte) || startByte > endByte) {
+      return res.status(416).set('Content-Range', `bytes */${size}`).end();
+    }
+
+    console.log(`📡 Range request: ${startByte}-${endByte}/${size}`);
+
+    stream = await getStorage().getStream(key, { start: startByte, end: endByte });
+    res.status(206).set({
+      'Content-Range': `bytes ${startByte}-${endByte}/${size}`,
+      'Accept-Ranges': 'bytes',
+      'Content-Length': (endByte - startByte) + 1,
+      'Content-Type': contentType
+    });
+  } else {
+    stream = await getStorage().getStream(key);
+    res.status(200).set({
+      'Content-Length': size,
+      'Content-Type': contentType,
+      'Accept-Ranges': 'bytes'
+    });
+  }
+
+  // Players drop connections all the time while seeking
+  pipeline(stream, res).catch(error => {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`❌ Failed to stream ${key}: ${error.message}`);
+    }
+  });
+};
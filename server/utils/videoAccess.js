@@ -0,0 +1,57 @@
+/**
+ * Access rules shared by every route that serves video content
+ * (the original stream and the assets derived from it)
+ */
+
+export const isOwner = (video, user) => {
+  const ownerId = video.uploadedBy?._id || video.uploadedBy;
+  return ownerId?.toString() === user._id.toString();
+};
+
+/**
+ * Returns null when the user may view the video's content,
+ * otherwise the { status, msg } to respond with
+ */
+export const checkVideoAccess = (video, user) => {
+  const { role } = user;
+  const ownerOrAdmin = role === 'admin' || isOwner(video, user);
+
+  // Thumbnails and the preview exist before moderation has run, and a
+  // rejected video is never released
+  if (video.processingStatus === 'rejected' && !ownerOrAdmin) {
+    return { status: 403, msg: 'This video has been rejected' };
+  }
+  if (video.processingStatus !== 'completed' && !ownerOrAdmin) {
+    return { status: 403, msg: 'This video is not available yet' };
+  }
+
+  // Admins can watch flagged videos, editors only their own
+  if (video.sensitivityStatus === 'flagged') {
+    const allowed = role === 'admin' || (role === 'editor' && isOwner(video, user));
+    if (!allowed) {
+      return {
+        status: 403,
+        msg: 'This video has been flagged as inappropriate and cannot be watched',
+        reason: 'Content flagged by AI safety system'
+      };
+    }
+  }
+
+  // Nobody has cleared it yet, so it stays with its owner and the admins
+  if (video.sensitivityStatus === 'review') {
+    const allowed = role === 'admin' || (role === 'editor' && isOwner(video, user));
+    if (!allowed) {
+      return {
+        status: 403,
+        msg: 'This video is awaiting content review',
+        reason: 'Automatic moderation could not decide'
+      };
+    }
+  }
+
+  if (!video.isPublic && !ownerOrAdmin) {
+    return { status: 403, msg: 'This video is private' };
+  }
+
+  return null;
+};
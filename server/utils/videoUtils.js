@@ -81,19 +81,6 @@ export const estimateVideoMetadata = (fileInfo) => {
   }
 };
 
-/**
- * Simple content safety simulation
- */
-export const simulateContentAnalysis = () => {
-  const score = Math.random() * 100;
-  return {
-    score: Math.round(score * 100) / 100,
-    status: score > 70 ? 'flagged' : 'safe',
-    confidence: Math.random() * 0.3 + 0.7, // 70-100% confidence
-    analyzedAt: new Date()
-  };
-};
-
 /**
  * Create processing steps for progress tracking
  */
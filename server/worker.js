@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from './config/database.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { startJobWorker, stopJobWorker } from './services/jobQueue.js';
+import { createMongoEmitter } from './services/socketBridge.js';
+
+dotenv.config();
+
+// Standalone job worker: runs processing and transcoding outside the API
+// process. Progress reaches clients through the API servers' MongoDB adapter,
+// so the API must run with EMBEDDED_WORKER=false (or SOCKET_ADAPTER=mongo).
+// Workers need the same uploads/ and media/ directories as the API.
+
+registerJobHandlers();
+
+await connectDB();
+if (mongoose.connection.readyState !== 1) {
+  console.error('❌ Worker cannot start without a database connection');
+  process.exit(1);
+}
+
+const io = await createMongoEmitter();
+startJobWorker({ io });
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping worker`);
+  try {
+    await stopJobWorker();
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Failed to release running jobs:', error.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));